@@ -0,0 +1,64 @@
+// lib/audit-log.js
+// Append-only record of every write made through the API: who called, what
+// route, against which shop/listing/job, and how it ended. One JSON object
+// per line in AUDIT_LOG.
+const fs = require("fs");
+const path = require("path");
+const { AUDIT_LOG } = require("./config");
+
+const auditFile = path.resolve(AUDIT_LOG);
+
+function appendEntry(entry) {
+  try {
+    fs.appendFileSync(auditFile, `${JSON.stringify(entry)}\n`, "utf8");
+  } catch (e) {
+    console.error(`Could not write audit log ${auditFile}:`, e.message);
+  }
+}
+
+// Record the request once its response has been sent. Handlers can add
+// targets only known afterwards (e.g. a new listing_id) via res.locals.audit.
+function recordWrite(req, res) {
+  const started = Date.now();
+  const params = { ...req.params };
+  res.on("finish", () => {
+    const caller = req.caller || {};
+    appendEntry({
+      at: new Date(started).toISOString(),
+      caller: caller.id || null,
+      role: caller.role || null,
+      via: caller.via || null,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      shop_id: req.shop_id || null,
+      listing_id: params.listing_id || null,
+      job_id: params.job_id || null,
+      ...res.locals.audit,
+      status: res.statusCode,
+      duration_ms: Date.now() - started,
+    });
+  });
+}
+
+// Entries matching every given field, newest first
+function readAuditLog(filter = {}, limit = 100) {
+  if (!fs.existsSync(auditFile)) return [];
+  const entries = [];
+  const lines = fs.readFileSync(auditFile, "utf8").split("\n");
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    if (!lines[i].trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (e) {
+      continue;
+    }
+    const matches = Object.entries(filter).every(
+      ([key, value]) => value === undefined || String(entry[key]) === value
+    );
+    if (matches) entries.push(entry);
+  }
+  return entries;
+}
+
+module.exports = { recordWrite, readAuditLog };
@@ -0,0 +1,117 @@
+// lib/auth.js
+// Authentication for callers of this backend (not Etsy OAuth). Callers send
+// either an API key (X-API-Key header, or "Authorization: Bearer <key>") or
+// an HS256 JWT signed with JWT_SECRET ("Authorization: Bearer <jwt>").
+//   API_KEYS=name:role:key,name:role:key
+//   JWT claims: sub (caller), role, exp
+// Roles are ordered; each role may do everything the ones before it can:
+//   viewer - read-only routes
+//   editor - create/update/delete listings, inventory, jobs
+//   admin  - OAuth connections and token status
+// Without API_KEYS or JWT_SECRET auth is disabled and every caller is an
+// anonymous admin (local development only).
+const crypto = require("crypto");
+const { API_KEYS, JWT_SECRET } = require("./config");
+const { recordWrite } = require("./audit-log");
+
+const ROLES = ["viewer", "editor", "admin"];
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+// API key digests -> { id, role }
+const apiKeys = new Map();
+String(API_KEYS || "")
+  .split(",")
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .forEach((entry) => {
+    const [id, role, ...rest] = entry.split(":");
+    const key = rest.join(":");
+    if (!id || !ROLES.includes(role) || !key) {
+      console.warn(`Ignoring malformed API_KEYS entry "${id}"`);
+      return;
+    }
+    apiKeys.set(sha256(key).toString("hex"), { id, role });
+  });
+
+const authEnabled = apiKeys.size > 0 || Boolean(JWT_SECRET);
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function base64UrlDecode(part) {
+  return Buffer.from(part.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+// Verify an HS256 JWT and return its caller, or throw AuthError
+function verifyJwt(token) {
+  const [header, payload, signature] = token.split(".");
+  let claims;
+  try {
+    const { alg } = JSON.parse(base64UrlDecode(header).toString("utf8"));
+    if (alg !== "HS256") throw new Error(`unsupported alg ${alg}`);
+    claims = JSON.parse(base64UrlDecode(payload).toString("utf8"));
+  } catch (e) {
+    throw new AuthError(401, "Malformed token");
+  }
+  const expected = crypto
+    .createHmac("sha256", JWT_SECRET)
+    .update(`${header}.${payload}`)
+    .digest();
+  const actual = base64UrlDecode(signature);
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  )
+    throw new AuthError(401, "Invalid token signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp && claims.exp <= now)
+    throw new AuthError(401, "Token expired");
+  if (claims.nbf && claims.nbf > now)
+    throw new AuthError(401, "Token not yet valid");
+  if (!claims.sub || !ROLES.includes(claims.role))
+    throw new AuthError(401, "Token must carry sub and a known role");
+  return { id: String(claims.sub), role: claims.role, via: "jwt" };
+}
+
+// Who is calling, from the request's credentials
+function identify(req) {
+  if (!authEnabled) return { id: "anonymous", role: "admin", via: "none" };
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  const credential = req.get("x-api-key") || bearer?.[1];
+  if (!credential) throw new AuthError(401, "Missing API key or token");
+
+  const key = apiKeys.get(sha256(credential).toString("hex"));
+  if (key) return { ...key, via: "api_key" };
+  if (JWT_SECRET && credential.split(".").length === 3)
+    return verifyJwt(credential);
+  throw new AuthError(401, "Invalid API key or token");
+}
+
+// Route middleware: the caller must hold `role` or a higher one. Writes
+// (non-GET routes that need more than viewer) are recorded in the audit log
+// once the response is sent.
+function requireRole(role) {
+  return (req, res, next) => {
+    try {
+      req.caller = identify(req);
+    } catch (err) {
+      if (err.status === 401) res.set("WWW-Authenticate", "Bearer");
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (ROLES.indexOf(req.caller.role) < ROLES.indexOf(role))
+      return res
+        .status(403)
+        .json({ error: `This route needs the ${role} role` });
+    if (req.method !== "GET" && role !== "viewer") recordWrite(req, res);
+    return next();
+  };
+}
+
+module.exports = { ROLES, authEnabled, requireRole };
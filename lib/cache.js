@@ -0,0 +1,133 @@
+// lib/cache.js
+// Cache for Etsy data that rarely changes (seller taxonomy, shop reference
+// data). Entries expire after a TTL per type, survive restarts in a JSON file
+// (CACHE_STORE, written via write-then-rename) and carry an ETag so our own
+// responses can be cached by clients too. TTLs (seconds) can be overridden
+// with CACHE_TTLS, e.g. "taxonomy=604800,shipping-profiles=300".
+const crypto = require("crypto");
+const { CACHE_STORE, CACHE_TTLS } = require("./config");
+const { jsonStore } = require("./json-store");
+
+const DEFAULT_TTLS = {
+  taxonomy: 24 * 60 * 60,
+  "taxonomy-properties": 24 * 60 * 60,
+  "shipping-profiles": 60 * 60,
+  "return-policies": 60 * 60,
+  "shop-sections": 60 * 60,
+  "readiness-state-definitions": 60 * 60,
+};
+
+function parseTtls(value) {
+  const ttls = { ...DEFAULT_TTLS };
+  String(value || "")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [type, seconds] = pair.split("=").map((s) => s.trim());
+      if (!(Number(seconds) >= 0)) {
+        console.warn(`Ignoring CACHE_TTLS entry "${pair}"`);
+        return;
+      }
+      ttls[type] = Number(seconds);
+    });
+  return ttls;
+}
+
+const TTLS = parseTtls(CACHE_TTLS);
+
+const { load, persist } = jsonStore(CACHE_STORE, { label: "cache", indent: 0 });
+// loads in flight, so concurrent misses share one Etsy call
+const loading = new Map();
+
+const etagOf = (value) =>
+  `"${crypto
+    .createHash("sha1")
+    .update(JSON.stringify(value))
+    .digest("base64url")}"`;
+
+const isFresh = (entry) => entry && Date.parse(entry.expires_at) > Date.now();
+
+// The cached value of `type` for `scope` (a shop ID, taxonomy ID, or "all"),
+// calling loader() when it is missing or expired, or when refresh is set.
+// Resolves with the entry: { type, scope, value, etag, stored_at, expires_at }.
+async function cached(type, scope, loader, { refresh = false } = {}) {
+  const key = `${type}:${scope}`;
+  const hit = load()[key];
+  if (!refresh && isFresh(hit)) return hit;
+  if (loading.has(key)) return loading.get(key);
+
+  const pending = (async () => {
+    const value = await loader();
+    const now = Date.now();
+    const entry = {
+      type,
+      scope: String(scope),
+      value,
+      etag: etagOf(value),
+      stored_at: new Date(now).toISOString(),
+      expires_at: new Date(now + (TTLS[type] ?? 0) * 1000).toISOString(),
+    };
+    load()[key] = entry;
+    persist();
+    return entry;
+  })();
+  loading.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    loading.delete(key);
+  }
+}
+
+// Seconds an entry has left, for Cache-Control: max-age
+function maxAge(entry) {
+  return Math.max(
+    0,
+    Math.floor((Date.parse(entry.expires_at) - Date.now()) / 1000)
+  );
+}
+
+// Drop entries, optionally only of one type and/or scope. Returns how many
+// were removed.
+function invalidate({ type, scope } = {}) {
+  const entries = load();
+  const keys = Object.keys(entries).filter(
+    (key) =>
+      (!type || entries[key].type === type) &&
+      (scope === undefined || entries[key].scope === String(scope))
+  );
+  keys.forEach((key) => delete entries[key]);
+  if (keys.length) persist();
+  return keys.length;
+}
+
+// Wrapper for Etsy writes to a cached type: write(shop_id, request) resolves
+// with the request's result once the shop's cached entries of `type` are
+// dropped, so listing validation and the GET routes see the change right away
+const invalidating = (type) => async (shop_id, request) => {
+  const result = await request;
+  invalidate({ type, scope: shop_id });
+  return result;
+};
+
+// Every entry without its value
+function cacheStatus() {
+  return {
+    ttls: TTLS,
+    entries: Object.values(load()).map(({ value, ...entry }) => ({
+      ...entry,
+      fresh: isFresh(entry),
+      items: Array.isArray(value) ? value.length : undefined,
+    })),
+  };
+}
+
+module.exports = {
+  TTLS,
+  cached,
+  maxAge,
+  invalidate,
+  invalidating,
+  cacheStatus,
+};
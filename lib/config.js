@@ -0,0 +1,66 @@
+// lib/config.js
+require("dotenv").config();
+
+const {
+  CLIENT_ID,
+  CLIENT_SECRET,
+  REDIRECT_URI,
+  BASE_URL = "http://localhost:3000",
+  SHOP_ID,
+  TOKEN_BACKEND = "file",
+  TOKEN_STORE = "./tokens.json",
+  TOKEN_DB = "./tokens.db",
+  TOKEN_ENCRYPTION_KEY,
+  JOB_STORE = "./jobs.json",
+  JOB_RETENTION_DAYS = 30,
+  JOB_RETENTION_COUNT = 1000,
+  IMAGE_INDEX = "./images.json",
+  SKU_INDEX = "./skus.json",
+  TEMPLATE_STORE = "./templates.json",
+  CACHE_STORE = "./cache.json",
+  CACHE_TTLS,
+  WEBHOOK_STORE = "./webhooks.json",
+  EVENT_STORE = "./events.json",
+  POLL_INTERVAL_MINUTES = 10,
+  UPLOAD_DIR = "./uploads",
+  PKCE_STORE = "./pkce.json",
+  PKCE_TTL_MINUTES = 10,
+  OAUTH_SCOPES,
+  RETURN_TO_ORIGINS,
+  API_KEYS,
+  JWT_SECRET,
+  AUDIT_LOG = "./audit.log",
+  PORT = 3000,
+} = process.env;
+
+module.exports = {
+  CLIENT_ID,
+  CLIENT_SECRET,
+  REDIRECT_URI,
+  BASE_URL,
+  SHOP_ID,
+  TOKEN_BACKEND,
+  TOKEN_STORE,
+  TOKEN_DB,
+  TOKEN_ENCRYPTION_KEY,
+  JOB_STORE,
+  JOB_RETENTION_DAYS,
+  JOB_RETENTION_COUNT,
+  IMAGE_INDEX,
+  SKU_INDEX,
+  TEMPLATE_STORE,
+  CACHE_STORE,
+  CACHE_TTLS,
+  WEBHOOK_STORE,
+  EVENT_STORE,
+  POLL_INTERVAL_MINUTES,
+  UPLOAD_DIR,
+  PKCE_STORE,
+  PKCE_TTL_MINUTES,
+  OAUTH_SCOPES,
+  RETURN_TO_ORIGINS,
+  API_KEYS,
+  JWT_SECRET,
+  AUDIT_LOG,
+  PORT,
+};
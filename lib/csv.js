@@ -0,0 +1,78 @@
+// lib/csv.js
+// Minimal RFC 4180 CSV parsing and writing (quoted fields, escaped quotes,
+// CRLF).
+
+// Parse CSV text into an array of rows, each an array of strings.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  // strip UTF-8 BOM left by spreadsheet exports
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // drop blank lines
+  return rows.filter((r) => r.length > 1 || r[0] !== "");
+}
+
+// Parse CSV text with a header row into an array of objects keyed by header.
+// Empty cells are omitted so they behave like missing JSON fields.
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return rows.map((cells) => {
+    const obj = {};
+    keys.forEach((key, i) => {
+      if (key && cells[i] !== undefined && cells[i] !== "") obj[key] = cells[i];
+    });
+    return obj;
+  });
+}
+
+// Format one row of cells as a CSV line (with CRLF). Cells holding commas,
+// quotes or line breaks are quoted; null/undefined become empty cells.
+function formatCsvRow(cells) {
+  return (
+    cells
+      .map((cell) => {
+        const text = cell === undefined || cell === null ? "" : String(cell);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      })
+      .join(",") + "\r\n"
+  );
+}
+
+module.exports = { parseCsvRows, parseCsv, formatCsvRow };
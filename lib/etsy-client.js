@@ -0,0 +1,126 @@
+// lib/etsy-client.js
+// Single entry point for Etsy Open API v3 calls. Adds the API key and a valid
+// access token, retries rate-limited (429), transient (5xx, network, timeout)
+// and "being edited by another process" failures with backoff, refreshes once
+// on an expired token, and throws EtsyApiError for everything else. POSTs
+// create things (drafts, uploads, shipment notices), so they are only retried
+// on 429 and the listing lock, which Etsy answers before doing anything.
+const axios = require("axios");
+const qs = require("qs");
+const FormData = require("form-data");
+const { CLIENT_ID } = require("./config");
+const { EtsyApiError } = require("./etsy-error");
+const { getAccessToken, refreshTokens } = require("./tokens");
+
+const API_BASE = "https://openapi.etsy.com/v3/application";
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+// multipart image and video uploads
+const UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+const RETRYABLE_NETWORK_CODES = [
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ECONNABORTED",
+  "EAI_AGAIN",
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isExpiredToken(err) {
+  const data = err.response?.data;
+  return (
+    err.response?.status === 401 &&
+    (data?.error === "invalid_token" ||
+      String(data?.error_description || data?.error || "").includes("expired"))
+  );
+}
+
+// How long to wait before retrying, or null when the error is final.
+// Honors Retry-After and gives up when the daily quota is exhausted.
+function retryDelay(err, attempt, method) {
+  if (attempt >= MAX_RETRIES) return null;
+  const res = err.response;
+  const backoff = Math.min(
+    BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * 250),
+    MAX_DELAY_MS
+  );
+
+  if (res?.status === 429) {
+    if (res.headers?.["x-remaining-today"] === "0") return null;
+    const retryAfter = Number(res.headers?.["retry-after"]);
+    return retryAfter > 0 ? Math.min(retryAfter * 1000, MAX_DELAY_MS) : backoff;
+  }
+  // Etsy locks a listing briefly after each write (e.g. image uploads) and
+  // rejects requests to it meanwhile, so even a POST can be resent
+  const message = String(res?.data?.error || "");
+  if (message.includes("is being edited by another process")) return backoff;
+  // a POST that failed any other way may have gone through
+  if (String(method).toLowerCase() === "post") return null;
+  if (!res) return RETRYABLE_NETWORK_CODES.includes(err.code) ? backoff : null;
+  if (res.status >= 500) return backoff;
+  return null;
+}
+
+// Perform a request. `path` is relative to /v3/application unless it is a
+// full URL. Authenticated calls use the tokens of `shop_id`, or an explicit
+// `token` (e.g. one just obtained in the OAuth callback). `data` may be a
+// function returning a fresh body per attempt, which multipart uploads need
+// because a consumed stream cannot be resent.
+async function request(method, path, options = {}) {
+  const { params, data, headers = {}, auth = true, shop_id, token } = options;
+  const url = /^https?:\/\//i.test(path) ? path : `${API_BASE}${path}`;
+  let refreshed = false;
+
+  for (let attempt = 0; ; attempt++) {
+    const body = typeof data === "function" ? data() : data;
+    const reqHeaders = { "x-api-key": CLIENT_ID, ...headers };
+    if (auth)
+      reqHeaders.Authorization = `Bearer ${
+        token || (await getAccessToken(shop_id))
+      }`;
+    if (body instanceof FormData) Object.assign(reqHeaders, body.getHeaders());
+    else if (body !== undefined)
+      reqHeaders["Content-Type"] = "application/json";
+
+    try {
+      const r = await axios({
+        method,
+        url,
+        params,
+        data: body,
+        headers: reqHeaders,
+        paramsSerializer: (p) => qs.stringify(p, { arrayFormat: "repeat" }),
+        maxBodyLength: Infinity,
+        timeout:
+          body instanceof FormData ? UPLOAD_TIMEOUT_MS : REQUEST_TIMEOUT_MS,
+      });
+      return r.data;
+    } catch (err) {
+      if (auth && !token && !refreshed && isExpiredToken(err)) {
+        refreshed = true;
+        await refreshTokens(shop_id);
+        attempt--;
+        continue;
+      }
+      const delay = retryDelay(err, attempt, method);
+      if (delay === null) throw EtsyApiError.from(err);
+      console.warn(
+        `Etsy ${method.toUpperCase()} ${path} failed (${
+          err.response?.status || err.code
+        }), retrying in ${delay}ms`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  request,
+  get: (path, options) => request("get", path, options),
+  post: (path, data, options) => request("post", path, { ...options, data }),
+  put: (path, data, options) => request("put", path, { ...options, data }),
+  patch: (path, data, options) => request("patch", path, { ...options, data }),
+  delete: (path, options) => request("delete", path, options),
+};
@@ -0,0 +1,75 @@
+// lib/etsy-error.js
+// One error shape for everything that goes wrong talking to Etsy:
+// { status, code, message, details }. Routes send it as { error: {...} }.
+
+const STATUS_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  429: "rate_limited",
+};
+
+class EtsyApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "EtsyApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  // Normalize an axios error (or anything else thrown) into an EtsyApiError
+  static from(err) {
+    if (err instanceof EtsyApiError) return err;
+    if (!err?.isAxiosError) {
+      return new EtsyApiError(
+        500,
+        "internal_error",
+        err?.message || String(err)
+      );
+    }
+    const res = err.response;
+    if (!res) {
+      return new EtsyApiError(
+        502,
+        "etsy_unreachable",
+        `Could not reach Etsy: ${err.message}`
+      );
+    }
+    const data = res.data;
+    // Etsy answers { error }, OAuth errors add error_description
+    const message =
+      data?.error_description ||
+      (typeof data?.error === "string" && data.error) ||
+      data?.message ||
+      (typeof data === "string" && data) ||
+      res.statusText ||
+      err.message;
+    const code =
+      typeof data?.error === "string" && /^[a-z_]+$/.test(data.error)
+        ? data.error
+        : STATUS_CODES[res.status] ||
+          (res.status >= 500 ? "etsy_unavailable" : "etsy_error");
+    const error = new EtsyApiError(res.status, code, message, data);
+    const retryAfter = Number(res.headers?.["retry-after"]);
+    if (retryAfter > 0) error.retry_after = retryAfter;
+    return error;
+  }
+
+  toJSON() {
+    const { status, code, message, details, retry_after } = this;
+    return { status, code, message, details, retry_after };
+  }
+}
+
+// Log and send any error in the normalized shape
+function sendEtsyError(res, err, label) {
+  const error = EtsyApiError.from(err);
+  console.error(`${label}:`, error.details || error.message);
+  if (error.retry_after) res.set("Retry-After", String(error.retry_after));
+  return res.status(error.status).json({ error: error.toJSON() });
+}
+
+module.exports = { EtsyApiError, sendEtsyError };
@@ -0,0 +1,251 @@
+// lib/images.js
+// Image processing before upload: every image (local path or URL) is loaded,
+// checked for a supported format and minimum size, auto-rotated, scaled down
+// to Etsy's recommended maximum, re-encoded as JPEG without EXIF/GPS
+// metadata, and hashed. Hashes of uploaded images are indexed per listing
+// (IMAGE_INDEX) so the same image is not attached to a listing twice.
+const axios = require("axios");
+const fs = require("fs");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const FormData = require("form-data");
+const etsy = require("./etsy-client");
+const { EtsyApiError } = require("./etsy-error");
+const { IMAGE_INDEX } = require("./config");
+const { jsonStore } = require("./json-store");
+
+const ACCEPTED_FORMATS = ["jpeg", "png", "gif", "webp"];
+const MAX_INPUT_BYTES = 20 * 1024 * 1024;
+// Etsy requires 570px wide, recommends 2000px on the shortest side and
+// 3000px on the longest
+const MIN_WIDTH = 570;
+const RECOMMENDED_SHORT_EDGE = 2000;
+const MAX_LONG_EDGE = 3000;
+const JPEG_QUALITY = 90;
+
+const isUrl = (str) => /^https?:\/\//i.test(str);
+
+const invalidImage = (code, message) => new EtsyApiError(422, code, message);
+
+async function loadSource(source) {
+  if (typeof source !== "string" || !source)
+    throw invalidImage("invalid_image", "image source must be a path or URL");
+  if (isUrl(source)) {
+    try {
+      const response = await axios.get(source, {
+        responseType: "arraybuffer",
+        maxContentLength: MAX_INPUT_BYTES,
+        timeout: 30 * 1000,
+      });
+      return Buffer.from(response.data);
+    } catch (err) {
+      throw invalidImage(
+        "image_download_failed",
+        `Could not download ${source}: ${err.message}`
+      );
+    }
+  }
+  if (!fs.existsSync(source))
+    throw invalidImage("image_not_found", `No such file: ${source}`);
+  if (fs.statSync(source).size > MAX_INPUT_BYTES)
+    throw invalidImage("image_too_large", `${source} is larger than 20MB`);
+  return fs.readFileSync(source);
+}
+
+// Load, validate and re-encode one image (a path, URL or an uploaded file's
+// Buffer). Returns { source, hash, buffer, format, width, height, bytes,
+// warnings }; throws EtsyApiError (422) when the image cannot be used. The
+// hash is taken over the original bytes.
+async function prepareImage(source, label = source) {
+  const input = Buffer.isBuffer(source) ? source : await loadSource(source);
+  const hash = crypto.createHash("sha256").update(input).digest("hex");
+
+  let meta;
+  try {
+    meta = await sharp(input).metadata();
+  } catch (e) {
+    throw invalidImage("invalid_image", `${label} is not a readable image`);
+  }
+  if (!ACCEPTED_FORMATS.includes(meta.format))
+    throw invalidImage(
+      "unsupported_image_format",
+      `${label} is ${meta.format}; use ${ACCEPTED_FORMATS.join(", ")}`
+    );
+  // EXIF orientations 5-8 are rotated by 90°
+  const [width, height] =
+    meta.orientation >= 5
+      ? [meta.height, meta.width]
+      : [meta.width, meta.height];
+  if (width < MIN_WIDTH)
+    throw invalidImage(
+      "image_too_small",
+      `${label} is ${width}px wide; Etsy needs at least ${MIN_WIDTH}px`
+    );
+
+  // rotate() applies the EXIF orientation; metadata is not carried over
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize({
+      width: MAX_LONG_EDGE,
+      height: MAX_LONG_EDGE,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  const warnings = [];
+  if (Math.min(info.width, info.height) < RECOMMENDED_SHORT_EDGE)
+    warnings.push(
+      `shortest side is ${Math.min(
+        info.width,
+        info.height
+      )}px; Etsy recommends ${RECOMMENDED_SHORT_EDGE}px`
+    );
+  return {
+    source: label,
+    hash,
+    buffer: data,
+    format: meta.format,
+    width: info.width,
+    height: info.height,
+    bytes: info.size,
+    warnings,
+  };
+}
+
+// Upload a prepared image at the given rank (1-based). Returns the new
+// listing_image_id.
+async function uploadPreparedImage(shop_id, listing_id, image, rank, alt_text) {
+  const result = await etsy.post(
+    `/shops/${shop_id}/listings/${listing_id}/images`,
+    () => {
+      const form = new FormData();
+      form.append("image", image.buffer, {
+        filename: `${image.hash.slice(0, 16)}.jpg`,
+        contentType: "image/jpeg",
+      });
+      form.append("rank", String(rank));
+      if (alt_text) form.append("alt_text", alt_text);
+      return form;
+    },
+    { shop_id }
+  );
+  if (!result?.listing_image_id)
+    throw new EtsyApiError(502, "etsy_error", "Etsy returned no image id");
+  const listing_image_id = String(result.listing_image_id);
+  recordImageHash(listing_id, image.hash, listing_image_id);
+  return listing_image_id;
+}
+
+// Prepare one image and attach it at `rank`, unless its hash is already in
+// `attached` (hash -> listing_image_id, updated in place). Resolves with the
+// outcome, { status: "uploaded" | "skipped", listing_image_id, hash, ... };
+// throws when the image is invalid or the upload fails.
+async function attachImage(shop_id, listing_id, source, options = {}) {
+  const { rank, alt_text, attached = {}, label } = options;
+  const image = await prepareImage(source, label);
+  const { hash, width, height, bytes, warnings } = image;
+  if (attached[hash])
+    return {
+      status: "skipped",
+      reason: "duplicate",
+      listing_image_id: attached[hash],
+      hash,
+    };
+  const listing_image_id = await uploadPreparedImage(
+    shop_id,
+    listing_id,
+    image,
+    rank,
+    alt_text
+  );
+  attached[hash] = listing_image_id;
+  return {
+    status: "uploaded",
+    listing_image_id,
+    hash,
+    width,
+    height,
+    bytes,
+    warnings,
+  };
+}
+
+function listImages(shop_id, listing_id) {
+  return etsy.get(`/listings/${listing_id}/images`, { shop_id });
+}
+
+// Move an image already on the listing to `rank` and/or change its alt text.
+// Etsy does this by "uploading" the existing listing_image_id again.
+function updateImage(shop_id, listing_id, listing_image_id, fields) {
+  const { rank, alt_text } = fields;
+  return etsy.post(
+    `/shops/${shop_id}/listings/${listing_id}/images`,
+    () => {
+      const form = new FormData();
+      form.append("listing_image_id", String(listing_image_id));
+      if (rank) form.append("rank", String(rank));
+      if (alt_text !== undefined) form.append("alt_text", alt_text);
+      return form;
+    },
+    { shop_id }
+  );
+}
+
+async function deleteImage(shop_id, listing_id, listing_image_id) {
+  await etsy.delete(
+    `/shops/${shop_id}/listings/${listing_id}/images/${listing_image_id}`,
+    { shop_id }
+  );
+  forgetImage(listing_id, listing_image_id);
+}
+
+// ---------- hash index (listing_id -> { hash: listing_image_id }) ----------
+
+const { load: loadIndex, persist: persistIndex } = jsonStore(IMAGE_INDEX, {
+  label: "image index",
+});
+
+function recordImageHash(listing_id, hash, listing_image_id) {
+  const store = loadIndex();
+  store[listing_id] = { ...store[listing_id], [hash]: listing_image_id };
+  persistIndex();
+}
+
+function forgetImage(listing_id, listing_image_id) {
+  const entries = loadIndex()[listing_id];
+  if (!entries) return;
+  Object.keys(entries).forEach((hash) => {
+    if (entries[hash] === String(listing_image_id)) delete entries[hash];
+  });
+  persistIndex();
+}
+
+// hash -> listing_image_id for images this backend uploaded that are still
+// attached to the listing (images deleted on Etsy are dropped)
+async function attachedImageHashes(shop_id, listing_id) {
+  const known = loadIndex()[listing_id];
+  if (!known || !Object.keys(known).length) return {};
+  const data = await listImages(shop_id, listing_id);
+  const attached = new Set(
+    (data.results || []).map((img) => String(img.listing_image_id))
+  );
+  const result = {};
+  Object.entries(known).forEach(([hash, id]) => {
+    if (attached.has(id)) result[hash] = id;
+  });
+  return result;
+}
+
+module.exports = {
+  ACCEPTED_FORMATS,
+  prepareImage,
+  uploadPreparedImage,
+  attachImage,
+  attachedImageHashes,
+  listImages,
+  updateImage,
+  deleteImage,
+};
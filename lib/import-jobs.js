@@ -0,0 +1,264 @@
+// lib/import-jobs.js
+// Bulk listing import: parse a CSV/JSONL upload into listing bodies, validate
+// every row like POST /listings does, then create drafts one at a time while
+// recording per-row status on a journaled job. Each row is created through
+// its own listing job so a restart resumes exactly where the import stopped.
+const path = require("path");
+const { parseCsv } = require("./csv");
+const { listingSchema } = require("./listing-schema");
+const { validateTemplatedListing } = require("./templates");
+const { createJob, saveJob, getJob, listJobs } = require("./job-store");
+const { createListingJob, runListingJob } = require("./listing-jobs");
+
+// CSV cells are read back by the type the listing schema gives each field
+const fieldsOfType = (test) =>
+  Object.keys(listingSchema).filter((field) => test(listingSchema[field]));
+const SCALARS = ["string", "number", "integer"];
+const NUMBER_FIELDS = fieldsOfType((rule) =>
+  ["number", "integer"].includes(rule.type)
+);
+const BOOLEAN_FIELDS = fieldsOfType((rule) => rule.type === "boolean");
+// arrays of plain values separate them with "|" (or hold a JSON array)
+const LIST_FIELDS = fieldsOfType(
+  (rule) => rule.type === "array" && SCALARS.includes(rule.items?.type)
+);
+// objects and arrays of objects are JSON
+const JSON_FIELDS = fieldsOfType(
+  (rule) =>
+    rule.type === "object" ||
+    (rule.type === "array" && !SCALARS.includes(rule.items?.type))
+);
+
+// import job ids currently executing in this process
+const running = new Set();
+
+// A JSON cell, or the raw string when it is not JSON (validation rejects it)
+function parseJson(cell) {
+  try {
+    return JSON.parse(cell);
+  } catch (e) {
+    return cell;
+  }
+}
+
+// Turn a CSV row (all strings) into the shape POST /listings expects.
+// Values that fail to coerce are left as-is so validation reports them.
+function coerceCsvRow(row) {
+  const out = { ...row };
+  NUMBER_FIELDS.forEach((field) => {
+    if (out[field] === undefined) return;
+    const n = Number(out[field]);
+    if (!isNaN(n)) out[field] = n;
+  });
+  BOOLEAN_FIELDS.forEach((field) => {
+    if (out[field] === undefined) return;
+    const v = String(out[field]).trim().toLowerCase();
+    if (["true", "1", "yes"].includes(v)) out[field] = true;
+    else if (["false", "0", "no"].includes(v)) out[field] = false;
+  });
+  LIST_FIELDS.forEach((field) => {
+    if (out[field] === undefined) return;
+    const cell = String(out[field]).trim();
+    if (cell.startsWith("[")) return (out[field] = parseJson(cell));
+    const numbers = listingSchema[field].items.type !== "string";
+    out[field] = cell
+      .split("|")
+      .map((s) => s.trim())
+      .filter(Boolean)
+      .map((s) => (numbers && !isNaN(Number(s)) ? Number(s) : s));
+  });
+  JSON_FIELDS.forEach((field) => {
+    if (out[field] === undefined) return;
+    out[field] = parseJson(out[field]);
+  });
+  return out;
+}
+
+function detectFormat(file, requested) {
+  if (requested) return String(requested).toLowerCase();
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  if (ext === ".csv" || file.mimetype === "text/csv") return "csv";
+  if (
+    [".jsonl", ".ndjson"].includes(ext) ||
+    ["application/x-ndjson", "application/jsonl"].includes(file.mimetype)
+  )
+    return "jsonl";
+  return null;
+}
+
+const parseError = (message) => ({ field: null, code: "parse", message });
+
+// Parse an uploaded multer file into { format, entries } where entries holds
+// one { data, errors } object per row. Throws when the format is unknown.
+function parseImportFile(file, requestedFormat) {
+  const format = detectFormat(file, requestedFormat);
+  const text = file.buffer.toString("utf8");
+  if (format === "csv") {
+    const entries = parseCsv(text).map((row) => ({ data: coerceCsvRow(row) }));
+    return { format, entries };
+  }
+  if (format === "jsonl") {
+    const entries = text
+      .split(/\r?\n/)
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          const data = JSON.parse(line);
+          if (!data || typeof data !== "object" || Array.isArray(data))
+            return {
+              data: {},
+              errors: [parseError("row must be a JSON object")],
+            };
+          return { data };
+        } catch (e) {
+          return {
+            data: {},
+            errors: [parseError(`Invalid JSON: ${e.message}`)],
+          };
+        }
+      });
+    return { format, entries };
+  }
+  throw new Error("Unsupported file format. Upload a .csv or .jsonl file.");
+}
+
+function summarize(job) {
+  const summary = { total: job.rows.length };
+  ["pending", "creating", "invalid", "created", "failed"].forEach(
+    (s) => (summary[s] = job.rows.filter((r) => r.status === s).length)
+  );
+  return summary;
+}
+
+// Create a job from parsed rows. Rows failing validation (including shop
+// reference checks) are marked invalid up front and never sent to Etsy.
+async function createImportJob(shop_id, entries, format) {
+  const rows = [];
+  for (const [i, entry] of entries.entries()) {
+    const { body, errors, warnings } = entry.errors
+      ? { body: entry.data, errors: entry.errors, warnings: [] }
+      : await validateTemplatedListing(shop_id, entry.data);
+    rows.push({
+      row: i + 1,
+      sku: body.sku,
+      status: errors.length ? "invalid" : "pending",
+      job_id: null,
+      listing_id: null,
+      listing_images_id: [],
+      errors,
+      warnings,
+      input: body,
+    });
+  }
+  return createJob("import", {
+    shop_id,
+    format,
+    started_at: null,
+    finished_at: null,
+    rows,
+  });
+}
+
+// Create drafts for every pending row, sequentially. Rows interrupted while
+// "creating" continue their existing listing job instead of starting over.
+async function runImportJob(job) {
+  if (running.has(job.job_id)) return job;
+  running.add(job.job_id);
+  try {
+    await runRows(job);
+  } finally {
+    running.delete(job.job_id);
+  }
+  return job;
+}
+
+function isImportJobRunning(job_id) {
+  return running.has(job_id);
+}
+
+async function runRows(job) {
+  job.status = "running";
+  job.started_at = job.started_at || new Date().toISOString();
+  saveJob(job);
+  for (const row of job.rows) {
+    if (!["pending", "creating"].includes(row.status)) continue;
+    let listingJob = row.job_id && getJob(row.job_id);
+    if (!listingJob) {
+      listingJob = createListingJob(job.shop_id, row.input, {
+        parent_id: job.job_id,
+      });
+      row.job_id = listingJob.job_id;
+    }
+    row.status = "creating";
+    saveJob(job);
+
+    await runListingJob(listingJob);
+    row.listing_id = listingJob.listing_id;
+    row.listing_images_id = (
+      listingJob.steps.images.result?.uploaded || []
+    ).map((u) => u.listing_image_id);
+    row.status = row.listing_id ? "created" : "failed";
+    if (listingJob.error) {
+      const { step, error } = listingJob.error;
+      row.errors.push({
+        field: null,
+        code: "step_failed",
+        step,
+        message: `${step} step failed: ${error.message}`,
+      });
+    }
+    saveJob(job);
+  }
+  job.status = "completed";
+  job.finished_at = new Date().toISOString();
+  saveJob(job);
+}
+
+// Queue failed rows (and rows whose listing job stopped partway) again
+function retryImportJob(job) {
+  job.rows.forEach((row) => {
+    const listingJob = row.job_id && getJob(row.job_id);
+    if (row.status === "failed" || listingJob?.status === "failed") {
+      row.status = "pending";
+      row.errors = [];
+    }
+  });
+  job.status = "queued";
+  job.finished_at = null;
+  return saveJob(job);
+}
+
+function getImportJob(job_id) {
+  const job = getJob(job_id);
+  return job && job.type === "import" ? job : null;
+}
+
+function unfinishedImportJobs() {
+  return listJobs({ type: "import" })
+    .filter((job) => ["queued", "running"].includes(job.status))
+    .reverse();
+}
+
+// Public view of a job (row inputs are kept server-side only)
+function serializeImportJob(job) {
+  const { rows, ...rest } = job;
+  return {
+    ...rest,
+    summary: summarize(job),
+    rows: rows.map(({ input, ...row }) => row),
+  };
+}
+
+module.exports = {
+  LIST_FIELDS,
+  JSON_FIELDS,
+  coerceCsvRow,
+  parseImportFile,
+  createImportJob,
+  runImportJob,
+  isImportJobRunning,
+  retryImportJob,
+  getImportJob,
+  unfinishedImportJobs,
+  serializeImportJob,
+};
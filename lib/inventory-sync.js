@@ -0,0 +1,197 @@
+// lib/inventory-sync.js
+// Applies a SKU feed ([{ sku, quantity?, price? }]) to a shop's listings.
+// SKUs are located through the SKU index; each affected listing's inventory
+// is re-read from Etsy, only the matching offerings are changed, and the
+// inventory is written back whole (Etsy replaces inventories as a unit).
+// The result is a diff report of what changed, what already matched and
+// what could not be applied.
+const etsy = require("./etsy-client");
+const { EtsyApiError } = require("./etsy-error");
+const { moneyValue, indexListing, findSku } = require("./sku-index");
+
+// The updateListingInventory payload equivalent to a getListingInventory
+// response (drops ids, deleted rows and read-only fields)
+function toInventoryPayload(inventory) {
+  return {
+    products: (inventory.products || [])
+      .filter((product) => !product.is_deleted)
+      .map((product) => ({
+        sku: product.sku || "",
+        property_values: (product.property_values || []).map((pv) => {
+          const value = {
+            property_id: pv.property_id,
+            property_name: pv.property_name,
+            value_ids: pv.value_ids || [],
+            values: pv.values || [],
+          };
+          if (pv.scale_id) value.scale_id = pv.scale_id;
+          return value;
+        }),
+        offerings: (product.offerings || [])
+          .filter((offering) => !offering.is_deleted)
+          .map((offering) => ({
+            price: moneyValue(offering.price),
+            quantity: offering.quantity,
+            is_enabled: offering.is_enabled,
+            readiness_state_id: offering.readiness_state_id,
+          })),
+      })),
+    price_on_property: inventory.price_on_property || [],
+    quantity_on_property: inventory.quantity_on_property || [],
+    sku_on_property: inventory.sku_on_property || [],
+    readiness_state_on_property: inventory.readiness_state_on_property || [],
+  };
+}
+
+// A value that now differs between products must be declared as varying on
+// their properties, or Etsy rejects the inventory
+function declareVariation(payload, field, onProperty) {
+  const values = new Set(
+    payload.products.flatMap((p) => p.offerings.map((o) => o[field]))
+  );
+  if (values.size < 2 || payload[onProperty].length) return;
+  payload[onProperty] = [
+    ...new Set(
+      payload.products.flatMap((p) =>
+        p.property_values.map((pv) => pv.property_id)
+      )
+    ),
+  ];
+}
+
+function checkItem(item) {
+  if (!item || typeof item !== "object") return "must be an object";
+  if (item.sku === undefined || item.sku === null || item.sku === "")
+    return "sku is required";
+  if (item.quantity === undefined && item.price === undefined)
+    return "give quantity and/or price";
+  if (
+    item.quantity !== undefined &&
+    !(Number.isInteger(item.quantity) && item.quantity >= 0)
+  )
+    return "quantity must be a whole number of 0 or more";
+  if (
+    item.price !== undefined &&
+    !(typeof item.price === "number" && item.price > 0)
+  )
+    return "price must be a number greater than 0";
+  return null;
+}
+
+// Apply a feed. With dry_run the report is computed but nothing is written.
+async function syncInventory(shop_id, items, { dry_run = false } = {}) {
+  const report = {
+    dry_run,
+    updated: [],
+    unchanged: [],
+    not_found: [],
+    invalid: [],
+    failed: [],
+  };
+
+  // feed rows by sku, grouped by the listings holding them
+  const bySku = new Map();
+  items.forEach((item, index) => {
+    const message = checkItem(item);
+    if (message) return report.invalid.push({ index, sku: item?.sku, message });
+    const sku = String(item.sku);
+    if (bySku.has(sku))
+      return report.invalid.push({ index, sku, message: "duplicate sku" });
+    bySku.set(sku, item);
+  });
+  const listings = new Map();
+  bySku.forEach((item, sku) => {
+    const entries = findSku(shop_id, sku);
+    if (!entries.length) return report.not_found.push(sku);
+    entries.forEach(({ listing_id, title, state }) => {
+      if (!listings.has(listing_id))
+        listings.set(listing_id, { listing_id, title, state, skus: new Set() });
+      listings.get(listing_id).skus.add(sku);
+    });
+  });
+
+  // SKUs found on some listing, and SKUs the index placed on a listing that
+  // no longer holds them
+  const found = new Set();
+  const stale = new Set();
+  for (const listing of listings.values()) {
+    const { listing_id, skus } = listing;
+    try {
+      const inventory = await etsy.get(`/listings/${listing_id}/inventory`, {
+        shop_id,
+      });
+      const payload = toInventoryPayload(inventory);
+      const current = inventory.products.filter((p) => !p.is_deleted);
+      const seen = new Set();
+      const changes = [];
+
+      payload.products.forEach((product, i) => {
+        const sku = String(product.sku);
+        if (!skus.has(sku)) return;
+        seen.add(sku);
+        found.add(sku);
+        const item = bySku.get(sku);
+        product.offerings.forEach((offering, j) => {
+          const diff = {};
+          ["quantity", "price"].forEach((field) => {
+            if (item[field] !== undefined && item[field] !== offering[field]) {
+              diff[field] = { from: offering[field], to: item[field] };
+              offering[field] = item[field];
+            }
+          });
+          const row = {
+            sku,
+            listing_id,
+            product_id: current[i].product_id,
+            offering_id: current[i].offerings.filter((o) => !o.is_deleted)[j]
+              ?.offering_id,
+          };
+          if (Object.keys(diff).length) changes.push({ ...row, changes: diff });
+          else report.unchanged.push(row);
+        });
+      });
+      // the index was stale: the SKU is no longer on this listing
+      skus.forEach((sku) => !seen.has(sku) && stale.add(sku));
+
+      if (changes.length && !dry_run) {
+        declareVariation(payload, "price", "price_on_property");
+        declareVariation(payload, "quantity", "quantity_on_property");
+        const updated = await etsy.put(
+          `/listings/${listing_id}/inventory`,
+          payload,
+          { shop_id }
+        );
+        indexListing(shop_id, listing, updated);
+      } else if (!dry_run) {
+        indexListing(shop_id, listing, inventory);
+      }
+      report.updated.push(...changes);
+    } catch (err) {
+      const error = EtsyApiError.from(err);
+      console.error(
+        `Inventory sync failed for listing ${listing_id}:`,
+        error.details || error.message
+      );
+      report.failed.push({
+        listing_id,
+        skus: [...skus],
+        error: error.toJSON(),
+      });
+    }
+  }
+
+  // a SKU only counts as not found when no listing of the sync held it
+  stale.forEach((sku) => !found.has(sku) && report.not_found.push(sku));
+
+  report.summary = {
+    requested: items.length,
+    updated: report.updated.length,
+    unchanged: report.unchanged.length,
+    not_found: report.not_found.length,
+    invalid: report.invalid.length,
+    failed: report.failed.length,
+  };
+  return report;
+}
+
+module.exports = { toInventoryPayload, syncInventory };
@@ -0,0 +1,82 @@
+// lib/job-store.js
+// Durable job journal kept in a single JSON file (JOB_STORE). The whole store
+// is held in memory and rewritten on every change via write-then-rename so a
+// crash mid-write never leaves a truncated journal behind. Finished jobs are
+// pruned after JOB_RETENTION_DAYS, and beyond the newest JOB_RETENTION_COUNT,
+// so the journal (and every rewrite of it) stays small.
+const crypto = require("crypto");
+const {
+  JOB_STORE,
+  JOB_RETENTION_DAYS,
+  JOB_RETENTION_COUNT,
+} = require("./config");
+const { jsonStore } = require("./json-store");
+
+const ACTIVE_STATUSES = ["queued", "running"];
+const RETENTION_MS = Number(JOB_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+
+const { load, persist } = jsonStore(JOB_STORE, { label: "job store" });
+
+// Drop finished jobs that are too old or beyond the newest
+// JOB_RETENTION_COUNT. Queued and running jobs are always kept; the listing
+// jobs of an import go with their import, which a retry still reads. Returns
+// the number of jobs removed.
+function pruneJobs(now = Date.now()) {
+  const jobs = load();
+  const all = Object.values(jobs);
+  const expired = all
+    .filter((job) => !job.parent_id && !ACTIVE_STATUSES.includes(job.status))
+    .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+    .filter(
+      (job, i) =>
+        i >= Number(JOB_RETENTION_COUNT) ||
+        now - Date.parse(job.updated_at) > RETENTION_MS
+    )
+    .map((job) => job.job_id);
+  const removed = all.filter(
+    (job) => expired.includes(job.job_id) || expired.includes(job.parent_id)
+  );
+  removed.forEach((job) => delete jobs[job.job_id]);
+  return removed.length;
+}
+
+function createJob(type, fields = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    job_id: crypto.randomBytes(8).toString("hex"),
+    type,
+    status: "queued",
+    created_at: now,
+    updated_at: now,
+    ...fields,
+  };
+  pruneJobs();
+  load()[job.job_id] = job;
+  persist();
+  return job;
+}
+
+// Record the current state of a job (call after every mutation)
+function saveJob(job) {
+  job.updated_at = new Date().toISOString();
+  load()[job.job_id] = job;
+  persist();
+  return job;
+}
+
+function getJob(job_id) {
+  return load()[job_id] || null;
+}
+
+// List jobs matching every given field, newest first
+function listJobs(filter = {}) {
+  return Object.values(load())
+    .filter((job) =>
+      Object.entries(filter).every(
+        ([key, value]) => value === undefined || job[key] === value
+      )
+    )
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+module.exports = { createJob, saveJob, getJob, listJobs, pruneJobs };
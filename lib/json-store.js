@@ -0,0 +1,47 @@
+// lib/json-store.js
+// The file-backed stores (job journal, caches, indexes, templates, webhooks,
+// ...) are each one JSON document held in memory, read on first use and
+// rewritten whole on every change. Writes go to a temp file that is then
+// renamed over the real one, so a crash mid-write never leaves a truncated
+// file behind.
+const fs = require("fs");
+const path = require("path");
+
+// Replace `file` with `text` via write-then-rename. `mode` (e.g. 0o600 for
+// files holding secrets) applies to the new file.
+function replaceFile(file, text, mode) {
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, text, { encoding: "utf8", ...(mode && { mode }) });
+  fs.renameSync(tmpFile, file);
+}
+
+// A store kept in `file`. Returns { file, load, persist }: load() gives the
+// in-memory document (read from the file the first time; `initial()` merged
+// under what was read, or alone when the file is missing or unreadable) and
+// persist() writes it back. `label` names the store in read errors; `indent`
+// is passed to JSON.stringify (0 for compact files).
+function jsonStore(file, { label, initial = () => ({}), mode, indent = 2 }) {
+  const storeFile = path.resolve(file);
+  let data = null;
+
+  function load() {
+    if (data) return data;
+    data = initial();
+    if (fs.existsSync(storeFile)) {
+      try {
+        data = { ...data, ...JSON.parse(fs.readFileSync(storeFile, "utf8")) };
+      } catch (e) {
+        console.error(`Could not read ${label} ${storeFile}:`, e.message);
+      }
+    }
+    return data;
+  }
+
+  function persist() {
+    replaceFile(storeFile, JSON.stringify(load(), null, indent), mode);
+  }
+
+  return { file: storeFile, load, persist };
+}
+
+module.exports = { jsonStore, replaceFile };
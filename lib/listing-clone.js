@@ -0,0 +1,146 @@
+// lib/listing-clone.js
+// Turns an existing listing into a POST /listings body. Clones go through the
+// same validation and create → images → inventory → properties → video
+// pipeline as any new draft, with the source's images re-uploaded from their
+// full-size URLs in rank order. Exports use the same body as their rows.
+const { moneyValue } = require("./sku-index");
+const { toInventoryPayload } = require("./inventory-sync");
+const { getListing, getListingProperties } = require("./listings");
+
+// Listing fields copied as they are
+const COPIED_FIELDS = [
+  "title",
+  "description",
+  "quantity",
+  "who_made",
+  "when_made",
+  "taxonomy_id",
+  "shipping_profile_id",
+  "return_policy_id",
+  "materials",
+  "shop_section_id",
+  "processing_min",
+  "processing_max",
+  "tags",
+  "is_personalizable",
+  "personalization_is_required",
+  "personalization_char_count_max",
+  "personalization_instructions",
+  "is_supply",
+  "is_customizable",
+  "should_auto_renew",
+  "is_taxable",
+  "item_weight",
+  "item_length",
+  "item_width",
+  "item_height",
+  "item_weight_unit",
+  "item_dimensions_unit",
+];
+
+// Listing fields Etsy returns under another name than createDraftListing
+// takes: Etsy field -> body field
+const RENAMED_FIELDS = { listing_type: "type", style: "styles" };
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (Array.isArray(value) && !value.length);
+
+// SKU of a product of a cloned inventory when the caller gives a new base
+// SKU: the base plus the product's variation values, like lib/variations.js
+function productSku(base, product) {
+  const suffix = (product.property_values || [])
+    .flatMap((pv) => pv.values || [])
+    .map((value) => String(value).trim().replace(/\s+/g, "_").toUpperCase())
+    .join("-");
+  return suffix ? `${base}-${suffix}` : String(base);
+}
+
+// The inventory to give the clone, or null for a single product without
+// variations (which POST /listings builds from sku/price/quantity)
+function cloneInventory(inventory, overrides) {
+  const payload = toInventoryPayload(inventory);
+  const varies = payload.products.some((p) => p.property_values.length);
+  if (payload.products.length < 2 && !varies) return null;
+  payload.products.forEach((product) => {
+    if (overrides.sku !== undefined)
+      product.sku = productSku(overrides.sku, product);
+    product.offerings.forEach((offering) => {
+      if (overrides.price !== undefined) offering.price = overrides.price;
+      if (overrides.quantity !== undefined)
+        offering.quantity = overrides.quantity;
+    });
+  });
+  // an overridden value is now the same for every product
+  if (overrides.price !== undefined) payload.price_on_property = [];
+  if (overrides.quantity !== undefined) payload.quantity_on_property = [];
+  return payload;
+}
+
+// The POST /listings body equivalent to a listing fetched with
+// includes=Images,Inventory (and its attribute properties, when given).
+// Price, quantity and sku overrides also apply to every product of a varied
+// inventory; overrides holding inventory or variations replace it.
+function listingBody(listing, { properties = [], overrides = {} } = {}) {
+  const body = {};
+  COPIED_FIELDS.forEach((field) => {
+    if (!isEmpty(listing[field])) body[field] = listing[field];
+  });
+  Object.entries(RENAMED_FIELDS).forEach(([from, to]) => {
+    if (!isEmpty(listing[from])) body[to] = listing[from];
+  });
+  body.price = moneyValue(listing.price);
+  if (listing.production_partners?.length)
+    body.production_partner_ids = listing.production_partners.map(
+      (p) => p.production_partner_id
+    );
+
+  const inventory = listing.inventory || { products: [] };
+  const products = inventory.products.filter((p) => !p.is_deleted);
+  const offering = products[0]?.offerings?.find((o) => !o.is_deleted);
+  if (offering?.readiness_state_id)
+    body.readiness_state_id = offering.readiness_state_id;
+  const replacesInventory =
+    overrides.inventory !== undefined || overrides.variations !== undefined;
+  const clonedInventory = replacesInventory
+    ? null
+    : cloneInventory(inventory, overrides);
+  if (clonedInventory) body.inventory = clonedInventory;
+  if (products[0]?.sku) body.sku = products[0].sku;
+
+  if (listing.images)
+    body.image_files = listing.images
+      .slice()
+      .sort((a, b) => a.rank - b.rank)
+      .map((image) => image.url_fullxfull);
+  if (properties.length)
+    body.properties = properties.map(
+      ({ property_id, value_ids, values, scale_id }) => {
+        const property = { property_id, value_ids, values };
+        if (scale_id) property.scale_id = scale_id;
+        return property;
+      }
+    );
+  return { ...body, ...overrides };
+}
+
+// Build the POST /listings body for a copy of listing_id, with the caller's
+// fields (title, price, sku, image_files, ...) taking precedence. Resolves
+// with { source, body }.
+async function buildCloneBody(shop_id, listing_id, overrides = {}) {
+  const listing = await getListing(shop_id, listing_id, [
+    "Images",
+    "Inventory",
+  ]);
+  const { results: properties = [] } = await getListingProperties(
+    shop_id,
+    listing_id
+  );
+  return {
+    source: { listing_id: listing.listing_id, title: listing.title },
+    body: listingBody(listing, { properties, overrides }),
+  };
+}
+
+module.exports = { COPIED_FIELDS, listingBody, buildCloneBody };
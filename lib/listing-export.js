@@ -0,0 +1,185 @@
+// lib/listing-export.js
+// Catalog export: walks every page of a shop's listings (one or more states)
+// and turns each listing into a row in the shape POST /listings and the bulk
+// import take, so an export can be edited in a spreadsheet and re-imported.
+// Rows are written as they arrive, as CSV or JSONL.
+const etsy = require("./etsy-client");
+const { formatCsvRow } = require("./csv");
+const { listingBody } = require("./listing-clone");
+const { LIST_FIELDS, JSON_FIELDS } = require("./import-jobs");
+
+const PAGE_SIZE = 100;
+const EXPORT_STATES = ["active", "draft", "inactive", "expired", "sold_out"];
+// ?includes= names -> Etsy includes. The inventory is always fetched, since
+// rows need its SKU (and readiness state) to be re-imported; the include only
+// adds the full inventory column.
+const EXPORT_INCLUDES = { images: "Images", inventory: "Inventory" };
+const FORMATS = ["csv", "jsonl"];
+
+// CSV columns, in order. listing_id, state and url are for reference; the
+// import ignores them.
+const CSV_COLUMNS = [
+  "listing_id",
+  "state",
+  "title",
+  "description",
+  "price",
+  "quantity",
+  "sku",
+  "who_made",
+  "when_made",
+  "taxonomy_id",
+  "type",
+  "shipping_profile_id",
+  "return_policy_id",
+  "shop_section_id",
+  "readiness_state_id",
+  "processing_min",
+  "processing_max",
+  "tags",
+  "materials",
+  "styles",
+  "item_weight",
+  "item_weight_unit",
+  "item_length",
+  "item_width",
+  "item_height",
+  "item_dimensions_unit",
+  "is_personalizable",
+  "personalization_is_required",
+  "personalization_char_count_max",
+  "personalization_instructions",
+  "production_partner_ids",
+  "is_supply",
+  "is_customizable",
+  "should_auto_renew",
+  "is_taxable",
+  "image_files",
+  "inventory",
+  "url",
+];
+
+// Listings of one state, a page at a time
+async function* listingPages(shop_id, state, includes) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await etsy.get(`/shops/${shop_id}/listings`, {
+      shop_id,
+      params: { state, limit: PAGE_SIZE, offset, includes },
+    });
+    const results = page.results || [];
+    if (results.length) yield results;
+    if (results.length < PAGE_SIZE || offset + PAGE_SIZE >= page.count) return;
+  }
+}
+
+function exportRow(listing, withInventory) {
+  const { inventory, ...body } = listingBody(listing);
+  return {
+    listing_id: listing.listing_id,
+    state: listing.state,
+    ...body,
+    ...(withInventory && inventory && { inventory }),
+    url: listing.url,
+  };
+}
+
+// A row as CSV cells, written the way coerceCsvRow reads them back
+function csvCells(row) {
+  return CSV_COLUMNS.map((column) => {
+    const value = row[column];
+    if (value === undefined || value === null) return "";
+    if (LIST_FIELDS.includes(column)) return value.join("|");
+    if (JSON_FIELDS.includes(column)) return JSON.stringify(value);
+    return value;
+  });
+}
+
+// Check export options. Returns { options } or { error }.
+function parseExportOptions(query) {
+  const format = String(query.format || "csv").toLowerCase();
+  if (!FORMATS.includes(format))
+    return { error: `format must be one of: ${FORMATS.join(", ")}` };
+  const states = String(query.state || "active")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const badState = states.find((s) => !EXPORT_STATES.includes(s));
+  if (badState)
+    return {
+      error: `Unknown state ${badState}; one of: ${EXPORT_STATES.join(", ")}`,
+    };
+  const includes = String(query.includes || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  const badInclude = includes.find((i) => !EXPORT_INCLUDES[i]);
+  if (badInclude)
+    return {
+      error: `Unknown include ${badInclude}; one of: ${Object.keys(
+        EXPORT_INCLUDES
+      ).join(", ")}`,
+    };
+  return {
+    options: {
+      format,
+      states,
+      includes: [
+        ...new Set(["Inventory", ...includes.map((i) => EXPORT_INCLUDES[i])]),
+      ],
+      inventory: includes.includes("inventory"),
+    },
+  };
+}
+
+// Write the export to `out` (a writable stream, e.g. the response), waiting
+// for it to drain between pages. Stops paging once `out` is destroyed (e.g.
+// the client went away). Resolves with the number of listings written.
+async function writeExport(
+  shop_id,
+  { format, states, includes, inventory },
+  out
+) {
+  const write = (chunk) => {
+    if (out.write(chunk)) return null;
+    // a stream that closes or fails never drains
+    return new Promise((resolve) => {
+      const events = ["drain", "close", "error"];
+      const done = () => {
+        events.forEach((event) => out.off(event, done));
+        resolve();
+      };
+      events.forEach((event) => out.once(event, done));
+    });
+  };
+  // the CSV header (with a BOM so spreadsheets read UTF-8) goes out with the
+  // first page, so a failure before then can still be answered with an error
+  let header = format === "csv" ? `\uFEFF${formatCsvRow(CSV_COLUMNS)}` : "";
+  let count = 0;
+  for (const state of states) {
+    for await (const listings of listingPages(shop_id, state, includes)) {
+      if (out.destroyed) return count;
+      const chunk =
+        header +
+        listings
+          .map((listing) => exportRow(listing, inventory))
+          .map((row) =>
+            format === "csv"
+              ? formatCsvRow(csvCells(row))
+              : `${JSON.stringify(row)}\n`
+          )
+          .join("");
+      header = "";
+      count += listings.length;
+      await write(chunk);
+    }
+  }
+  if (header && !out.destroyed) await write(header);
+  return count;
+}
+
+module.exports = {
+  EXPORT_STATES,
+  listingPages,
+  parseExportOptions,
+  writeExport,
+};
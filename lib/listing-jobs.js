@@ -0,0 +1,267 @@
+// lib/listing-jobs.js
+// The create → images → inventory → properties → video pipeline as a durable
+// job. Each step's state is journaled, so a job interrupted by a crash or a
+// failed step can be run again and picks up after the last completed step.
+const { createJob, saveJob, listJobs } = require("./job-store");
+const { EtsyApiError } = require("./etsy-error");
+const { defaultShopId } = require("./tokens");
+const {
+  sleep,
+  buildInventoryPayload,
+  createDraft,
+  updateInventory,
+  updateListingProperty,
+} = require("./listings");
+const { attachImage, attachedImageHashes } = require("./images");
+const { replaceVideo, discardUpload } = require("./videos");
+const { buildVariationInventory } = require("./variations");
+const { indexListing } = require("./sku-index");
+
+const STEPS = ["create", "images", "inventory", "properties", "video"];
+const SKIPPED = Symbol("skipped");
+
+// job ids currently executing in this process
+const running = new Set();
+
+async function variationInventory(input) {
+  const { payload, errors } = await buildVariationInventory(
+    input,
+    input.taxonomy_id
+  );
+  if (errors.length)
+    throw new EtsyApiError(
+      422,
+      "invalid_variations",
+      errors.map((e) => e.message).join("; "),
+      errors
+    );
+  return payload;
+}
+
+const stepHandlers = {
+  async create(job) {
+    const listing = await createDraft(job.shop_id, job.input);
+    job.listing_id = listing.listing_id;
+    return listing;
+  },
+
+  // Images are processed (see lib/images.js), then uploaded one by one and
+  // journaled individually, so a resumed job never re-uploads an image Etsy
+  // already accepted. Images already on the listing are skipped by hash.
+  // Each image ends up in uploaded, skipped or failed; with any failed the
+  // step is partial, and a retry attempts only those again.
+  async images(job, step) {
+    const { image_files } = job.input;
+    if (!Array.isArray(image_files) || !image_files.length) return SKIPPED;
+
+    step.result = { uploaded: [], skipped: [], ...step.result, failed: [] };
+    const { uploaded, skipped, failed } = step.result;
+    // Wait 2 seconds before starting image upload to avoid Etsy concurrency error
+    await sleep(2000);
+    const attached = await attachedImageHashes(job.shop_id, job.listing_id);
+
+    for (let i = 0; i < image_files.length; i++) {
+      const done = (u) => u.index === i;
+      if (uploaded.some(done) || skipped.some(done)) continue;
+      try {
+        const { status, ...outcome } = await attachImage(
+          job.shop_id,
+          job.listing_id,
+          image_files[i],
+          { rank: i + 1, attached }
+        );
+        (status === "skipped" ? skipped : uploaded).push({
+          index: i,
+          ...outcome,
+        });
+      } catch (err) {
+        const error = EtsyApiError.from(err);
+        console.error(
+          `Image ${image_files[i]} failed:`,
+          error.details || error.message
+        );
+        failed.push({ index: i, code: error.code, message: error.message });
+      }
+      saveJob(job);
+    }
+    return step.result;
+  },
+
+  // Inventory from `variations` (see lib/variations.js), or from sku/inventory
+  async inventory(job) {
+    const inventoryPayload = job.input.variations
+      ? await variationInventory(job.input)
+      : buildInventoryPayload(job.input);
+    if (!inventoryPayload) return SKIPPED;
+    const inventory = await updateInventory(
+      job.shop_id,
+      job.listing_id,
+      inventoryPayload
+    );
+    indexListing(
+      job.shop_id,
+      { listing_id: job.listing_id, title: job.input.title, state: "draft" },
+      inventory
+    );
+    return inventory;
+  },
+
+  // Attribute properties ([{ property_id, value_ids, values, scale_id }]),
+  // set one at a time; properties already set are not sent again on resume
+  async properties(job, step) {
+    const { properties } = job.input;
+    if (!Array.isArray(properties) || !properties.length) return SKIPPED;
+    step.result = { updated: [], ...step.result };
+    for (const property of properties) {
+      if (step.result.updated.includes(property.property_id)) continue;
+      await updateListingProperty(job.shop_id, job.listing_id, property);
+      step.result.updated.push(property.property_id);
+      saveJob(job);
+    }
+    return step.result;
+  },
+
+  // The listing's `video` (path or URL; multipart uploads are saved to
+  // UPLOAD_DIR first, and that file is removed once Etsy has it), validated
+  // before upload
+  async video(job) {
+    const { video } = job.input;
+    if (!video) return SKIPPED;
+    const result = await replaceVideo(job.shop_id, job.listing_id, video);
+    if (job.upload) discardUpload(job.upload);
+    return result;
+  },
+};
+
+// Journal a new listing job for a validated POST /listings body. `upload` is
+// the path of the video file multer saved for the request, if any.
+function createListingJob(shop_id, body, fields = {}, upload = null) {
+  const steps = {};
+  STEPS.forEach((name) => (steps[name] = { status: "pending", attempts: 0 }));
+  return createJob("listing", {
+    shop_id,
+    input: body,
+    listing_id: null,
+    steps,
+    error: null,
+    upload,
+    ...fields,
+  });
+}
+
+// Run every step that has not completed yet. Resolves with the job; a failed
+// step stops the job with status "failed" rather than rejecting. A step whose
+// result lists failed parts is "partial": the later steps still run, but the
+// job ends "failed" so a retry runs that step again.
+async function runListingJob(job) {
+  if (running.has(job.job_id)) return job;
+  running.add(job.job_id);
+  try {
+    job.status = "running";
+    job.error = null;
+    // jobs journaled before multi-shop support belong to the default shop
+    if (!job.shop_id) job.shop_id = defaultShopId();
+    saveJob(job);
+
+    let partial = null;
+    for (const name of STEPS) {
+      // jobs journaled before a step existed run it like a new one
+      const step = (job.steps[name] = job.steps[name] || {
+        status: "pending",
+        attempts: 0,
+      });
+      if (step.status === "done" || step.status === "skipped") continue;
+
+      step.status = "running";
+      step.started_at = new Date().toISOString();
+      step.attempts += 1;
+      saveJob(job);
+      try {
+        const result = await stepHandlers[name](job, step);
+        step.status = result === SKIPPED ? "skipped" : "done";
+        step.result = result === SKIPPED ? null : result;
+        step.error = null;
+        if (result?.failed?.length) {
+          step.status = "partial";
+          step.error = new EtsyApiError(
+            500,
+            "partial",
+            `${result.failed.length} of the ${name} failed; retry the job to try them again`,
+            result.failed
+          ).toJSON();
+          partial = partial || { step: name, error: step.error };
+        }
+      } catch (err) {
+        const error = EtsyApiError.from(err);
+        console.error(
+          `Listing job ${job.job_id} step ${name} failed:`,
+          error.details || error.message
+        );
+        step.status = "failed";
+        step.error = error.toJSON();
+        job.status = "failed";
+        job.error = { step: name, error: step.error };
+      }
+      step.finished_at = new Date().toISOString();
+      saveJob(job);
+      if (job.status === "failed") return job;
+    }
+
+    job.status = partial ? "failed" : "completed";
+    job.error = partial;
+    saveJob(job);
+    return job;
+  } finally {
+    running.delete(job.job_id);
+  }
+}
+
+// Per-image outcome in input order: uploaded, skipped (duplicate) or failed
+function imageOutcomes(job) {
+  const { image_files = [] } = job.input;
+  const result = job.steps.images.result || {};
+  if (!Array.isArray(image_files)) return [];
+  return image_files.map((source, index) => {
+    const match = (u) => u.index === index;
+    const uploaded = (result.uploaded || []).find(match);
+    if (uploaded) return { source, status: "uploaded", ...uploaded };
+    const skipped = (result.skipped || []).find(match);
+    if (skipped) return { source, status: "skipped", ...skipped };
+    const failed = (result.failed || []).find(match);
+    if (failed) return { source, status: "failed", ...failed };
+    return { source, index, status: "pending" };
+  });
+}
+
+// Shape a job the way POST /listings has always responded
+function listingJobResult(job) {
+  const { create, images, inventory, properties, video } = job.steps;
+  return {
+    listing: create.result,
+    listing_images_id: (images.result?.uploaded || []).map(
+      (u) => u.listing_image_id
+    ),
+    images: imageOutcomes(job),
+    inventory: inventory.result || null,
+    properties: properties?.result?.updated || [],
+    video:
+      video.status === "failed" ? { error: video.error } : video.result || null,
+  };
+}
+
+// Standalone listing jobs left queued/running by a previous process. Jobs
+// belonging to a bulk import are resumed by their import job instead.
+function unfinishedListingJobs() {
+  return listJobs({ type: "listing" })
+    .filter((job) => ["queued", "running"].includes(job.status))
+    .filter((job) => !job.parent_id)
+    .reverse();
+}
+
+module.exports = {
+  STEPS,
+  createListingJob,
+  runListingJob,
+  listingJobResult,
+  unfinishedListingJobs,
+};
@@ -0,0 +1,123 @@
+// lib/listing-moves.js
+// Bulk moves of listings from one shop resource to another (shipping
+// profile, return policy, shop section): the listings are given by ID or
+// found by what they point at now, then updated one at a time. A listing
+// that fails does not stop the rest; the report says which were moved.
+const { EtsyApiError } = require("./etsy-error");
+const { getListing, updateListing } = require("./listings");
+const { EXPORT_STATES, listingPages } = require("./listing-export");
+
+const MAX_LISTING_IDS = 500;
+
+// Field-level errors for a move body: listing_ids (required with
+// requireListingIds, otherwise optional) plus, when named, a target ID field
+// (e.g. to_profile_id)
+function validateMove(body, { target, requireListingIds = false } = {}) {
+  const errors = [];
+  const push = (field, code, message) => errors.push({ field, code, message });
+  const input = body && typeof body === "object" ? body : {};
+  const isId = (v) => Number.isInteger(Number(v)) && Number(v) > 0;
+  if (target && !isId(input[target]))
+    push(target, "required", `${target} must be a positive integer ID`);
+  if (input.listing_ids === undefined) {
+    if (requireListingIds)
+      push("listing_ids", "required", "listing_ids is required");
+  } else if (!Array.isArray(input.listing_ids) || !input.listing_ids.length)
+    push("listing_ids", "type", "listing_ids must be a non-empty array");
+  else if (input.listing_ids.length > MAX_LISTING_IDS)
+    push(
+      "listing_ids",
+      "max_items",
+      `listing_ids may contain at most ${MAX_LISTING_IDS} items`
+    );
+  else if (!input.listing_ids.every(isId))
+    push("listing_ids", "type", "listing_ids must be listing IDs");
+  return errors;
+}
+
+// Every listing (any state) whose `field` is `value`
+async function listingsWith(shop_id, field, value) {
+  const found = [];
+  for (const state of EXPORT_STATES)
+    for await (const listings of listingPages(shop_id, state))
+      found.push(...listings.filter((l) => String(l[field]) === String(value)));
+  return found;
+}
+
+// Set `field` to `to` on the listings given by listing_ids, or on every
+// listing whose `field` is `from`. Given both, listed listings not on `from`
+// are skipped. With dry_run nothing is written. Resolves with
+// { dry_run, field, to, updated, unchanged, skipped, failed, summary }.
+async function moveListings(
+  shop_id,
+  field,
+  to,
+  { listing_ids, from, dry_run = false } = {}
+) {
+  const report = {
+    dry_run,
+    field,
+    to: Number(to),
+    updated: [],
+    unchanged: [],
+    skipped: [],
+    failed: [],
+  };
+  const fail = (listing_id, err) => {
+    const error = EtsyApiError.from(err);
+    console.error(
+      `Moving listing ${listing_id} (${field}) failed:`,
+      error.details || error.message
+    );
+    report.failed.push({ listing_id, error: error.toJSON() });
+  };
+
+  let listings = [];
+  if (listing_ids) {
+    for (const listing_id of [...new Set(listing_ids.map(Number))]) {
+      try {
+        listings.push(await getListing(shop_id, listing_id));
+      } catch (err) {
+        fail(listing_id, err);
+      }
+    }
+  } else {
+    listings = await listingsWith(shop_id, field, from);
+  }
+
+  for (const listing of listings) {
+    const row = {
+      listing_id: listing.listing_id,
+      title: listing.title,
+      from: listing[field] ?? null,
+    };
+    if (from !== undefined && String(listing[field]) !== String(from)) {
+      report.skipped.push(row);
+      continue;
+    }
+    if (String(listing[field]) === String(to)) {
+      report.unchanged.push(row);
+      continue;
+    }
+    try {
+      if (!dry_run)
+        await updateListing(shop_id, listing.listing_id, {
+          [field]: Number(to),
+        });
+      report.updated.push(row);
+    } catch (err) {
+      fail(listing.listing_id, err);
+    }
+  }
+
+  report.summary = {
+    requested: listing_ids ? listing_ids.length : listings.length,
+    updated: report.updated.length,
+    unchanged: report.unchanged.length,
+    skipped: report.skipped.length,
+    failed: report.failed.length,
+  };
+  return report;
+}
+
+module.exports = { validateMove, moveListings };
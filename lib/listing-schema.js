@@ -0,0 +1,432 @@
+// lib/listing-schema.js
+// Declarative description of the listing fields POST /listings accepts and
+// Etsy's constraints on each, plus the validator that turns a body into
+// field-level errors of the form { field, code, message }.
+const {
+  getShippingProfiles,
+  getReturnPolicies,
+  getShopSections,
+  getReadinessStateDefinitions,
+  getTaxonomyNodes,
+  flattenTaxonomy,
+} = require("./reference-data");
+const { NOT_UPDATABLE_FIELDS } = require("./listings");
+const { checkVariations } = require("./variations");
+const { EtsyApiError } = require("./etsy-error");
+
+const WHO_MADE = ["i_did", "someone_else", "collective"];
+const LISTING_TYPES = ["physical", "download", "both"];
+const WEIGHT_UNITS = ["oz", "lb", "g", "kg"];
+const DIMENSION_UNITS = ["in", "ft", "mm", "cm", "m", "yd", "inches"];
+
+// Etsy's when_made buckets. The current decade's bucket ends at the current
+// year (e.g. 2020_2026), so it is derived rather than hardcoded.
+function whenMadeValues(year = new Date().getFullYear()) {
+  const decade = Math.floor(year / 10) * 10;
+  const recent = [`${decade}_${year}`];
+  for (let d = decade - 10; d >= 2010; d -= 10) recent.push(`${d}_${d + 9}`);
+  return [
+    "made_to_order",
+    ...recent,
+    "2006_2009",
+    "before_2006",
+    "2000_2005",
+    "1990s",
+    "1980s",
+    "1970s",
+    "1960s",
+    "1950s",
+    "1940s",
+    "1930s",
+    "1920s",
+    "1910s",
+    "1900s",
+    "1800s",
+    "1700s",
+    "before_1700",
+  ];
+}
+
+const TAG_PATTERN = /^[\p{L}\p{N}\s\-'™©®]+$/u;
+const WORDS_PATTERN = /^[\p{L}\p{N}\s]+$/u;
+
+// Dimensions only matter for physical listings. A partial update may not
+// restate the type, so any dimension it sends is checked.
+const isPhysical = (body, { partial }) => partial || body.type === "physical";
+
+// Etsy allows each of %, : and & at most once in a title
+function checkTitle(title) {
+  const repeated = ["%", ":", "&"].filter(
+    (ch) => title.split(ch).length - 1 > 1
+  );
+  if (repeated.length) return `may contain ${repeated.join(", ")} only once`;
+  return null;
+}
+
+function checkInventory(inventory) {
+  if (!Array.isArray(inventory.products) || !inventory.products.length)
+    return "must contain a non-empty products array";
+  const isObject = (p) => p && typeof p === "object" && !Array.isArray(p);
+  const bad = inventory.products.findIndex(
+    (p) => !isObject(p) || !Array.isArray(p.offerings)
+  );
+  if (bad !== -1)
+    return {
+      path: `products[${bad}]`,
+      message: "must be an object with an offerings array",
+    };
+  return null;
+}
+
+// An attribute property as getListingProperties returns it
+function checkProperty(property) {
+  if (!Number.isInteger(property.property_id) || property.property_id < 1)
+    return "each property needs a property_id";
+  if (!Array.isArray(property.values) && !Array.isArray(property.value_ids))
+    return "each property needs values or value_ids";
+  return null;
+}
+
+const idRule = { type: "integer", min: 1 };
+
+const listingSchema = {
+  title: { type: "string", required: true, maxLength: 140, check: checkTitle },
+  description: { type: "string", required: true },
+  price: { type: "number", required: true, exclusiveMin: 0, max: 50000 },
+  quantity: { type: "integer", required: true, min: 1, max: 999 },
+  who_made: { type: "enum", required: true, values: WHO_MADE },
+  when_made: { type: "enum", required: true, values: whenMadeValues },
+  taxonomy_id: { ...idRule, required: true },
+  sku: { type: "string", required: true, acceptNumber: true, maxLength: 32 },
+  type: { type: "enum", values: LISTING_TYPES },
+  shipping_profile_id: idRule,
+  return_policy_id: idRule,
+  shop_section_id: idRule,
+  readiness_state_id: idRule,
+  processing_min: { type: "integer", min: 0 },
+  processing_max: { type: "integer", min: 0 },
+  tags: {
+    type: "array",
+    maxItems: 13,
+    items: {
+      type: "string",
+      maxLength: 20,
+      pattern: TAG_PATTERN,
+      patternMessage:
+        "may contain only letters, numbers, spaces, -, ', ™, © and ®",
+    },
+  },
+  materials: {
+    type: "array",
+    maxItems: 13,
+    items: {
+      type: "string",
+      maxLength: 45,
+      pattern: WORDS_PATTERN,
+      patternMessage: "may contain only letters, numbers and spaces",
+    },
+  },
+  styles: {
+    type: "array",
+    maxItems: 2,
+    items: {
+      type: "string",
+      maxLength: 45,
+      pattern: WORDS_PATTERN,
+      patternMessage: "may contain only letters, numbers and spaces",
+    },
+  },
+  // dimensions are only sent for physical listings; Etsy expects numbers
+  item_weight: {
+    type: "number",
+    strict: true,
+    exclusiveMin: 0,
+    when: isPhysical,
+  },
+  item_length: {
+    type: "number",
+    strict: true,
+    exclusiveMin: 0,
+    when: isPhysical,
+  },
+  item_width: {
+    type: "number",
+    strict: true,
+    exclusiveMin: 0,
+    when: isPhysical,
+  },
+  item_height: {
+    type: "number",
+    strict: true,
+    exclusiveMin: 0,
+    when: isPhysical,
+  },
+  item_weight_unit: { type: "enum", values: WEIGHT_UNITS },
+  item_dimensions_unit: { type: "enum", values: DIMENSION_UNITS },
+  is_personalizable: { type: "boolean" },
+  personalization_is_required: { type: "boolean" },
+  personalization_char_count_max: { type: "integer", min: 1, max: 1024 },
+  personalization_instructions: { type: "string", maxLength: 256 },
+  production_partner_ids: { type: "array", items: idRule },
+  image_ids: { type: "array", maxItems: 20, items: idRule },
+  image_files: { type: "array", maxItems: 20, items: { type: "string" } },
+  video: { type: "string" },
+  is_supply: { type: "boolean" },
+  is_customizable: { type: "boolean" },
+  should_auto_renew: { type: "boolean" },
+  is_taxable: { type: "boolean" },
+  legacy: { type: "boolean" },
+  inventory: { type: "object", check: checkInventory },
+  // see lib/variations.js
+  variations: { type: "object", check: checkVariations },
+  overrides: { type: "array", items: { type: "object" } },
+  properties: {
+    type: "array",
+    items: { type: "object", check: checkProperty },
+  },
+};
+
+// Rules spanning several fields. Each returns an error or null.
+const listingRefinements = [
+  (body) =>
+    body.processing_min !== undefined &&
+    body.processing_max !== undefined &&
+    Number(body.processing_min) > Number(body.processing_max)
+      ? {
+          field: "processing_max",
+          code: "invalid",
+          message:
+            "processing_max must be greater than or equal to processing_min",
+        }
+      : null,
+  (body) =>
+    body.personalization_is_required === true && body.is_personalizable !== true
+      ? {
+          field: "personalization_is_required",
+          code: "invalid",
+          message: "personalization_is_required needs is_personalizable: true",
+        }
+      : null,
+  (body) =>
+    body.variations !== undefined && body.inventory !== undefined
+      ? {
+          field: "variations",
+          code: "invalid",
+          message: "send either variations or inventory, not both",
+        }
+      : null,
+];
+
+function isNumeric(value) {
+  if (typeof value === "number") return !isNaN(value);
+  return typeof value === "string" && value.trim() !== "" && !isNaN(value);
+}
+
+function checkValue(field, rule, value, errors) {
+  const push = (code, message) =>
+    errors.push({ field, code, message: `${field} ${message}` });
+
+  switch (rule.type) {
+    case "string": {
+      if (rule.acceptNumber && typeof value === "number") value = String(value);
+      if (typeof value !== "string") return push("type", "must be a string");
+      if (rule.maxLength && value.length > rule.maxLength)
+        push("max_length", `must be at most ${rule.maxLength} characters`);
+      if (rule.pattern && !rule.pattern.test(value))
+        push("pattern", rule.patternMessage);
+      break;
+    }
+    case "number":
+    case "integer": {
+      const noun = rule.type === "integer" ? "an integer" : "a number";
+      if (rule.strict ? typeof value !== "number" : !isNumeric(value))
+        return push("type", `must be ${noun}`);
+      const n = Number(value);
+      if (rule.type === "integer" && !Number.isInteger(n))
+        return push("type", `must be ${noun}`);
+      if (rule.min !== undefined && n < rule.min)
+        push("min", `must be at least ${rule.min}`);
+      if (rule.exclusiveMin !== undefined && n <= rule.exclusiveMin)
+        push("min", `must be greater than ${rule.exclusiveMin}`);
+      if (rule.max !== undefined && n > rule.max)
+        push("max", `must be at most ${rule.max}`);
+      break;
+    }
+    case "boolean":
+      if (typeof value !== "boolean") return push("type", "must be a boolean");
+      break;
+    case "enum": {
+      const values =
+        typeof rule.values === "function" ? rule.values() : rule.values;
+      if (!values.includes(value))
+        return push("enum", `must be one of: ${values.join(", ")}`);
+      break;
+    }
+    case "array":
+      if (!Array.isArray(value)) return push("type", "must be an array");
+      if (rule.maxItems && value.length > rule.maxItems)
+        push("max_items", `may contain at most ${rule.maxItems} items`);
+      if (rule.items)
+        value.forEach((item, i) =>
+          checkValue(`${field}[${i}]`, rule.items, item, errors)
+        );
+      break;
+    case "object":
+      if (!value || typeof value !== "object" || Array.isArray(value))
+        return push("type", "must be an object");
+      break;
+  }
+  // a check returns a message, or { path, message } for a nested value
+  if (rule.check) {
+    const result = rule.check(value);
+    if (result && typeof result === "object") {
+      const nested = `${field}.${result.path}`;
+      errors.push({
+        field: nested,
+        code: "invalid",
+        message: `${nested} ${result.message}`,
+      });
+    } else if (result) push("invalid", result);
+  }
+}
+
+// Validate a body against a schema. With partial: true, required fields may
+// be omitted (used for updates).
+function validate(schema, body, { partial = false, refinements = [] } = {}) {
+  const errors = [];
+  const input = body && typeof body === "object" ? body : {};
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (rule.when && !rule.when(input, { partial })) return;
+    const value = input[field];
+    const missing =
+      value === undefined ||
+      value === null ||
+      (typeof value === "string" && !value.trim());
+    if (missing) {
+      if (rule.required && !partial)
+        errors.push({
+          field,
+          code: "required",
+          message: `${field} is required`,
+        });
+      return;
+    }
+    checkValue(field, rule, value, errors);
+  });
+  refinements.forEach((refine) => {
+    const error = refine(input);
+    if (error) errors.push(error);
+  });
+  return errors;
+}
+
+// Field constraints only; no Etsy calls
+function validateListing(body, options = {}) {
+  return validate(listingSchema, body, {
+    ...options,
+    refinements: listingRefinements,
+  });
+}
+
+// Shop-scoped IDs a listing may reference and where to look them up
+const referenceChecks = [
+  {
+    field: "shipping_profile_id",
+    label: "shipping profile",
+    load: getShippingProfiles,
+    idOf: (p) => p.shipping_profile_id,
+  },
+  {
+    field: "return_policy_id",
+    label: "return policy",
+    load: getReturnPolicies,
+    idOf: (p) => p.return_policy_id,
+  },
+  {
+    field: "shop_section_id",
+    label: "shop section",
+    load: getShopSections,
+    idOf: (s) => s.shop_section_id,
+  },
+  {
+    field: "readiness_state_id",
+    label: "readiness state definition",
+    load: getReadinessStateDefinitions,
+    idOf: (d) => d.readiness_state_id,
+  },
+  {
+    field: "taxonomy_id",
+    label: "seller taxonomy node",
+    load: async () => flattenTaxonomy(await getTaxonomyNodes()),
+    idOf: (n) => n.id,
+  },
+];
+
+// Cross-check referenced IDs against the shop's (cached) reference data.
+// Lookups that fail are reported as warnings instead of blocking the listing.
+// Fields listed in skip (already invalid) are not looked up.
+async function validateListingReferences(body, shop_id, skip = []) {
+  const errors = [];
+  const warnings = [];
+  for (const check of referenceChecks) {
+    if (skip.includes(check.field)) continue;
+    const value = body?.[check.field];
+    if (value === undefined || value === null || value === "") continue;
+    try {
+      const items = await check.load(shop_id);
+      if (!items.some((item) => String(check.idOf(item)) === String(value)))
+        errors.push({
+          field: check.field,
+          code: "not_found",
+          message: `${check.field} ${value} is not a known ${check.label}`,
+        });
+    } catch (err) {
+      warnings.push(
+        `Could not verify ${check.field}: ${EtsyApiError.from(err).message}`
+      );
+    }
+  }
+  return { errors, warnings };
+}
+
+// Partial update: only the given fields are checked, and fields Etsy's
+// updateListing does not accept are rejected. { errors, warnings }
+async function validateListingUpdate(body, shop_id) {
+  const input = body || {};
+  const rejected = NOT_UPDATABLE_FIELDS.filter(
+    (field) => input[field] !== undefined
+  ).map((field) => ({
+    field,
+    code: "not_updatable",
+    message: `${field} cannot be changed with a listing update`,
+  }));
+  const { errors, warnings } = await validateListingForShop(input, shop_id, {
+    partial: true,
+  });
+  return { errors: rejected.concat(errors), warnings };
+}
+
+// Field constraints plus shop reference checks: { errors, warnings }
+async function validateListingForShop(body, shop_id, options = {}) {
+  const errors = validateListing(body, options);
+  const refs = await validateListingReferences(
+    body,
+    shop_id,
+    errors.map((e) => e.field)
+  );
+  return { errors: errors.concat(refs.errors), warnings: refs.warnings };
+}
+
+module.exports = {
+  WHO_MADE,
+  LISTING_TYPES,
+  WEIGHT_UNITS,
+  DIMENSION_UNITS,
+  whenMadeValues,
+  listingSchema,
+  validate,
+  validateListing,
+  validateListingReferences,
+  validateListingForShop,
+  validateListingUpdate,
+};
@@ -0,0 +1,299 @@
+// lib/listings.js
+// Payload building and the individual Etsy calls behind the
+// create → images → inventory → properties → video pipeline (see
+// lib/listing-jobs.js), plus the update/publish/delete calls for existing
+// listings.
+const etsy = require("./etsy-client");
+const { removeListing } = require("./sku-index");
+
+// Fields passed through to Etsy's createDraftListing as-is
+const LISTING_FIELDS = [
+  "title",
+  "description",
+  "price",
+  "quantity",
+  "who_made",
+  "when_made",
+  "taxonomy_id",
+  "shipping_profile_id",
+  "return_policy_id",
+  "materials",
+  "shop_section_id",
+  "processing_min",
+  "processing_max",
+  "readiness_state_id",
+  "tags",
+  "styles",
+  "is_personalizable",
+  "personalization_is_required",
+  "personalization_char_count_max",
+  "personalization_instructions",
+  "production_partner_ids",
+  "image_ids",
+  "is_supply",
+  "is_customizable",
+  "should_auto_renew",
+  "is_taxable",
+  "type",
+  "legacy",
+];
+const DIMENSION_FIELDS = [
+  "item_weight",
+  "item_length",
+  "item_width",
+  "item_height",
+];
+
+// Fields updateListing does not take: price, quantity and SKU live on the
+// inventory, images, video and state have routes of their own (properties are
+// set one by one after the draft is created)
+const NOT_UPDATABLE_FIELDS = [
+  "price",
+  "quantity",
+  "sku",
+  "inventory",
+  "variations",
+  "overrides",
+  "properties",
+  "image_files",
+  "video",
+  "state",
+];
+
+function validPositiveNumber(val) {
+  return typeof val === "number" && val > 0;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Build the createDraftListing payload. Weight, dimensions and their units
+// are sent only with type "physical", the same rule the listing schema
+// checks them by.
+function buildListingPayload(body) {
+  const {
+    price,
+    quantity,
+    type,
+    item_weight_unit,
+    item_dimensions_unit,
+    sku,
+    inventory,
+  } = body;
+
+  const payload = {};
+  LISTING_FIELDS.forEach((field) => (payload[field] = body[field]));
+  if (type === "physical") {
+    DIMENSION_FIELDS.forEach((field) => {
+      if (validPositiveNumber(body[field]))
+        payload[field] = body[field].toFixed(2);
+    });
+    if (item_weight_unit) payload.item_weight_unit = item_weight_unit;
+    if (item_dimensions_unit)
+      payload.item_dimensions_unit = item_dimensions_unit;
+  }
+  // Add inventory object for SKU support
+  if (inventory && typeof inventory === "object") {
+    payload.inventory = inventory;
+  } else if (sku) {
+    // If only sku is provided, build a minimal inventory object
+    payload.inventory = {
+      products: [
+        {
+          sku: sku,
+          property_values: [],
+          offerings: [
+            {
+              price: price,
+              quantity: quantity,
+              is_enabled: true,
+            },
+          ],
+        },
+      ],
+    };
+  }
+  // Remove undefined fields
+  Object.keys(payload).forEach(
+    (key) => payload[key] === undefined && delete payload[key]
+  );
+  return payload;
+}
+
+// Build the updateListing payload for a partial update. Dimensions are
+// coerced the same way as on creation.
+function buildUpdatePayload(body) {
+  const payload = {};
+  LISTING_FIELDS.filter(
+    (field) => !NOT_UPDATABLE_FIELDS.includes(field) && field !== "legacy"
+  ).forEach((field) => (payload[field] = body[field]));
+  DIMENSION_FIELDS.forEach((field) => {
+    if (validPositiveNumber(body[field]))
+      payload[field] = body[field].toFixed(2);
+  });
+  if (body.item_weight_unit) payload.item_weight_unit = body.item_weight_unit;
+  if (body.item_dimensions_unit)
+    payload.item_dimensions_unit = body.item_dimensions_unit;
+  Object.keys(payload).forEach(
+    (key) => payload[key] === undefined && delete payload[key]
+  );
+  return payload;
+}
+
+// Build the updateListingInventory payload sent after the draft is created,
+// or null when neither sku nor inventory was given.
+function buildInventoryPayload(body) {
+  const { price, quantity, readiness_state_id, sku, inventory } = body;
+  if (!sku && !inventory) return null;
+
+  let productsArr = [];
+  if (inventory && Array.isArray(inventory.products)) {
+    productsArr = inventory.products;
+  } else if (sku) {
+    productsArr = [
+      {
+        sku: String(sku),
+        property_values: [],
+        offerings: [
+          {
+            price: price,
+            quantity: quantity,
+            is_enabled: true,
+            readiness_state_id: readiness_state_id, // Default to 1 if not specified
+          },
+        ],
+      },
+    ];
+  }
+
+  // Ensure all offerings have readiness_state
+  productsArr = productsArr.map((product) => {
+    if (product.offerings) {
+      product.offerings = product.offerings.map((offering) => ({
+        ...offering,
+        readiness_state_id: readiness_state_id,
+      }));
+    }
+    return product;
+  });
+
+  const payload = {
+    products: productsArr,
+    readiness_state_on_property: [], // Add empty array if no property-based readiness states
+  };
+  // keep which properties prices/quantities/SKUs vary on, when given
+  ["price_on_property", "quantity_on_property", "sku_on_property"].forEach(
+    (field) => {
+      if (Array.isArray(inventory?.[field])) payload[field] = inventory[field];
+    }
+  );
+  return payload;
+}
+
+// Everything the pipeline would send to Etsy for a validated body, without
+// sending it. Used by dry runs.
+function previewListing(body) {
+  // build from a copy: buildInventoryPayload rewrites offerings in place
+  const input = JSON.parse(JSON.stringify(body));
+  const inventoryPayload = buildInventoryPayload(input);
+  return {
+    listing_payload: buildListingPayload(input),
+    inventory_payload: inventoryPayload,
+    image_files: Array.isArray(input.image_files) ? input.image_files : [],
+    video: input.video || null,
+  };
+}
+
+// Create the draft listing itself. Returns Etsy's listing object.
+function createDraft(shop_id, body) {
+  return etsy.post(`/shops/${shop_id}/listings`, buildListingPayload(body), {
+    shop_id,
+  });
+}
+
+// Update a freshly created draft's inventory (SKU, price, quantity).
+function updateInventory(shop_id, listing_id, inventoryPayload) {
+  return etsy.put(`/listings/${listing_id}/inventory`, inventoryPayload, {
+    shop_id,
+  });
+}
+
+function getListing(shop_id, listing_id, includes = []) {
+  return etsy.get(`/listings/${listing_id}`, {
+    shop_id,
+    params: { includes },
+  });
+}
+
+function getListingProperties(shop_id, listing_id) {
+  return etsy.get(`/shops/${shop_id}/listings/${listing_id}/properties`, {
+    shop_id,
+  });
+}
+
+// Set one attribute property ({ property_id, value_ids, values, scale_id })
+function updateListingProperty(shop_id, listing_id, property) {
+  const { property_id, value_ids = [], values = [], scale_id } = property;
+  const payload = { value_ids, values };
+  if (scale_id) payload.scale_id = scale_id;
+  return etsy.put(
+    `/shops/${shop_id}/listings/${listing_id}/properties/${property_id}`,
+    payload,
+    { shop_id }
+  );
+}
+
+function updateListing(shop_id, listing_id, payload) {
+  return etsy.patch(`/shops/${shop_id}/listings/${listing_id}`, payload, {
+    shop_id,
+  });
+}
+
+// Also drops the listing's SKUs from the local index (lib/sku-index.js)
+async function deleteListing(shop_id, listing_id) {
+  const result = await etsy.delete(`/listings/${listing_id}`, { shop_id });
+  removeListing(shop_id, listing_id);
+  return result;
+}
+
+// What a listing (fetched with includes=Images) still needs before Etsy will
+// let it go active. Returns field-level errors like the listing schema.
+function publishPrerequisites(listing) {
+  const errors = [];
+  const missing = (field, message) =>
+    errors.push({ field, code: "prerequisite", message });
+
+  if (listing.state === "active") missing("state", "listing is already active");
+  if (!listing.title?.trim()) missing("title", "title is required");
+  if (!listing.description?.trim())
+    missing("description", "description is required");
+  if (!listing.taxonomy_id) missing("taxonomy_id", "taxonomy_id is required");
+  if (!(listing.quantity > 0))
+    missing("quantity", "quantity must be greater than 0");
+  const price = listing.price
+    ? listing.price.amount / listing.price.divisor
+    : 0;
+  if (!(price > 0)) missing("price", "price must be greater than 0");
+  if (!Array.isArray(listing.images) || !listing.images.length)
+    missing("images", "at least one image is required");
+  if (listing.listing_type === "physical" && !listing.shipping_profile_id)
+    missing("shipping_profile_id", "physical listings need a shipping profile");
+  return errors;
+}
+
+module.exports = {
+  NOT_UPDATABLE_FIELDS,
+  validPositiveNumber,
+  buildListingPayload,
+  buildUpdatePayload,
+  buildInventoryPayload,
+  previewListing,
+  sleep,
+  createDraft,
+  updateInventory,
+  getListing,
+  getListingProperties,
+  updateListingProperty,
+  updateListing,
+  deleteListing,
+  publishPrerequisites,
+};
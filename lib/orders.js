@@ -0,0 +1,227 @@
+// lib/orders.js
+// Shop receipts (orders) for fulfillment: filtered, paginated lists, single
+// receipts with their transactions mapped back to our SKUs (through the SKU
+// index, see lib/sku-index.js), and shipment (tracking) submission. Needs
+// the transactions_r / transactions_w scopes.
+const etsy = require("./etsy-client");
+const { validate } = require("./listing-schema");
+const { moneyValue, findSku } = require("./sku-index");
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const SORT_ON = ["created", "updated", "receipt_id"];
+const SORT_ORDER = ["asc", "desc"];
+
+const shipmentSchema = {
+  tracking_code: { type: "string", required: true, maxLength: 255 },
+  carrier_name: { type: "string", required: true, maxLength: 255 },
+  send_bcc: { type: "boolean" },
+  note_to_buyer: { type: "string", maxLength: 2000 },
+};
+
+function parseBoolean(value) {
+  const v = String(value).trim().toLowerCase();
+  if (["true", "1", "yes"].includes(v)) return true;
+  if (["false", "0", "no"].includes(v)) return false;
+  return null;
+}
+
+// An ISO date/time or unix seconds, as unix seconds (or null)
+function parseTime(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  const ms = Date.parse(text);
+  return isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+// Turn GET /orders query parameters into getShopReceipts params:
+//   paid, shipped, delivered, canceled - true/false
+//   from, to            - created between (ISO date/time or unix seconds)
+//   updated_from/_to    - last modified between
+//   limit, offset, sort_on, sort_order
+// Returns { params } or { error }.
+function parseOrderFilters(query) {
+  const params = {};
+  const flags = {
+    paid: "was_paid",
+    shipped: "was_shipped",
+    delivered: "was_delivered",
+    canceled: "was_canceled",
+  };
+  for (const [name, param] of Object.entries(flags)) {
+    if (query[name] === undefined) continue;
+    const value = parseBoolean(query[name]);
+    if (value === null) return { error: `${name} must be true or false` };
+    params[param] = value;
+  }
+  const times = {
+    from: "min_created",
+    to: "max_created",
+    updated_from: "min_last_modified",
+    updated_to: "max_last_modified",
+  };
+  for (const [name, param] of Object.entries(times)) {
+    if (query[name] === undefined) continue;
+    const value = parseTime(query[name]);
+    if (value === null)
+      return { error: `${name} must be an ISO date or unix timestamp` };
+    params[param] = value;
+  }
+  if (
+    params.min_created !== undefined &&
+    params.max_created !== undefined &&
+    params.min_created > params.max_created
+  )
+    return { error: "from must be before to" };
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0)
+    return { error: "offset must be 0 or more" };
+  params.limit = limit;
+  params.offset = offset;
+  const { sort_on = "created", sort_order = "desc" } = query;
+  if (!SORT_ON.includes(sort_on))
+    return { error: `sort_on must be one of: ${SORT_ON.join(", ")}` };
+  if (!SORT_ORDER.includes(sort_order))
+    return { error: `sort_order must be one of: ${SORT_ORDER.join(", ")}` };
+  params.sort_on = sort_on;
+  params.sort_order = sort_order;
+  return { params };
+}
+
+// One page of receipts plus the offset of the next page (null on the last)
+async function listReceipts(shop_id, params) {
+  const page = await etsy.get(`/shops/${shop_id}/receipts`, {
+    shop_id,
+    params,
+  });
+  const results = page.results || [];
+  const next = params.offset + results.length;
+  return {
+    count: page.count,
+    limit: params.limit,
+    offset: params.offset,
+    next_offset: results.length && next < page.count ? next : null,
+    results,
+  };
+}
+
+// Where a transaction's item lives in our catalog, from the SKU index: the
+// entry with the same SKU (and product, when several listings share it).
+// null when the item has no SKU or it is not indexed.
+function catalogEntry(shop_id, transaction) {
+  if (!transaction.sku) return null;
+  const entries = findSku(shop_id, transaction.sku);
+  return (
+    entries.find(
+      (e) => String(e.product_id) === String(transaction.product_id)
+    ) ||
+    entries[0] ||
+    null
+  );
+}
+
+function mapTransaction(shop_id, transaction) {
+  const entry = catalogEntry(shop_id, transaction);
+  return {
+    transaction_id: transaction.transaction_id,
+    listing_id: transaction.listing_id,
+    product_id: transaction.product_id,
+    sku: transaction.sku || null,
+    title: transaction.title,
+    quantity: transaction.quantity,
+    price: moneyValue(transaction.price),
+    variation:
+      (transaction.variations || [])
+        .map((v) => `${v.formatted_name}: ${v.formatted_value}`)
+        .join("; ") || null,
+    is_digital: transaction.is_digital,
+    shipped_at: transaction.shipped_timestamp
+      ? new Date(transaction.shipped_timestamp * 1000).toISOString()
+      : null,
+    catalog: entry && {
+      listing_id: entry.listing_id,
+      title: entry.title,
+      state: entry.state,
+      product_id: entry.product_id,
+      offering_id: entry.offering_id,
+      variation: entry.variation,
+      quantity: entry.quantity,
+    },
+  };
+}
+
+// A receipt with its transactions as `items`, each mapped to our catalog.
+// Transactions are fetched separately when the receipt does not embed them.
+async function withItems(shop_id, receipt) {
+  const transactions =
+    receipt.transactions ||
+    (
+      await etsy.get(
+        `/shops/${shop_id}/receipts/${receipt.receipt_id}/transactions`,
+        { shop_id }
+      )
+    ).results ||
+    [];
+  return {
+    ...receipt,
+    items: transactions.map((t) => mapTransaction(shop_id, t)),
+  };
+}
+
+async function getReceipt(shop_id, receipt_id) {
+  const receipt = await etsy.get(`/shops/${shop_id}/receipts/${receipt_id}`, {
+    shop_id,
+  });
+  return withItems(shop_id, receipt);
+}
+
+// Every paid, unshipped, uncanceled receipt (oldest first), with items
+async function openReceipts(shop_id) {
+  const receipts = [];
+  for (let offset = 0; ; offset += MAX_LIMIT) {
+    const page = await listReceipts(shop_id, {
+      was_paid: true,
+      was_shipped: false,
+      was_canceled: false,
+      limit: MAX_LIMIT,
+      offset,
+      sort_on: "created",
+      sort_order: "asc",
+    });
+    for (const receipt of page.results)
+      receipts.push(await withItems(shop_id, receipt));
+    if (page.next_offset === null) return receipts;
+  }
+}
+
+// Field-level errors for a shipment body
+function validateShipment(body) {
+  return validate(shipmentSchema, body);
+}
+
+// Submit tracking for a receipt (createReceiptShipment). Resolves with the
+// updated receipt.
+function createShipment(shop_id, receipt_id, shipment) {
+  const { tracking_code, carrier_name, send_bcc, note_to_buyer } = shipment;
+  const payload = { tracking_code, carrier_name };
+  if (send_bcc !== undefined) payload.send_bcc = send_bcc;
+  if (note_to_buyer) payload.note_to_buyer = note_to_buyer;
+  return etsy.post(
+    `/shops/${shop_id}/receipts/${receipt_id}/tracking`,
+    payload,
+    { shop_id }
+  );
+}
+
+module.exports = {
+  parseOrderFilters,
+  listReceipts,
+  getReceipt,
+  openReceipts,
+  validateShipment,
+  createShipment,
+};
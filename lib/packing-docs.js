@@ -0,0 +1,326 @@
+// lib/packing-docs.js
+// Printable fulfillment documents built from receipts with mapped items (see
+// lib/orders.js): one packing slip per receipt, and a pick list adding up
+// every item across the selected receipts by SKU and variation. Each can be
+// rendered as JSON, HTML (page break between slips) or PDF.
+const PDFDocument = require("pdfkit");
+
+const FORMATS = ["html", "pdf", "json"];
+
+const escapeHtml = (text) =>
+  String(text ?? "").replace(
+    /[&<>"']/g,
+    (ch) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        ch
+      ])
+  );
+
+const dateOf = (seconds) =>
+  seconds ? new Date(seconds * 1000).toISOString().slice(0, 10) : "";
+
+function addressLines(receipt) {
+  if (receipt.formatted_address)
+    return receipt.formatted_address.split("\n").filter(Boolean);
+  return [
+    receipt.name,
+    receipt.first_line,
+    receipt.second_line,
+    [receipt.city, receipt.state, receipt.zip].filter(Boolean).join(" "),
+    receipt.country_iso,
+  ].filter(Boolean);
+}
+
+function packingSlip(receipt) {
+  return {
+    receipt_id: receipt.receipt_id,
+    ordered_on: dateOf(receipt.created_timestamp || receipt.create_timestamp),
+    ship_to: addressLines(receipt),
+    message_from_buyer: receipt.message_from_buyer || null,
+    gift_message: receipt.is_gift ? receipt.gift_message || "" : null,
+    items: receipt.items.map((item) => ({
+      sku: item.sku,
+      title: item.catalog?.title || item.title,
+      variation: item.variation,
+      quantity: item.quantity,
+    })),
+  };
+}
+
+// Items of every receipt summed per SKU + variation (listing + variation for
+// items without a SKU), sorted by SKU with SKU-less items last
+function pickList(receipts) {
+  const lines = new Map();
+  receipts.forEach((receipt) =>
+    receipt.items.forEach((item) => {
+      const key = `${item.sku || `listing:${item.listing_id}`}|${
+        item.variation || ""
+      }`;
+      if (!lines.has(key))
+        lines.set(key, {
+          sku: item.sku,
+          listing_id: item.catalog?.listing_id || item.listing_id,
+          title: item.catalog?.title || item.title,
+          variation: item.variation,
+          quantity: 0,
+          receipt_ids: [],
+        });
+      const line = lines.get(key);
+      line.quantity += item.quantity;
+      if (!line.receipt_ids.includes(receipt.receipt_id))
+        line.receipt_ids.push(receipt.receipt_id);
+    })
+  );
+  return [...lines.values()].sort(
+    (a, b) =>
+      !a.sku - !b.sku ||
+      String(a.sku).localeCompare(String(b.sku)) ||
+      String(a.title).localeCompare(String(b.title))
+  );
+}
+
+// HTML
+
+const STYLE = `
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  table { border-collapse: collapse; width: 100%; margin-top: 12px; }
+  th, td { border-bottom: 1px solid #ccc; padding: 6px 4px; text-align: left; }
+  td.qty, th.qty { text-align: right; width: 48px; }
+  .slip { page-break-after: always; }
+  .slip:last-child { page-break-after: auto; }
+  .note { margin-top: 12px; padding: 8px; border: 1px solid #ccc; }
+`;
+
+const htmlPage = (title, body) =>
+  `<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>${escapeHtml(
+    title
+  )}</title><style>${STYLE}</style></head><body>${body}</body></html>\n`;
+
+// A table row; numbers (quantities) are right-aligned
+const row = (cells) =>
+  `<tr>${cells
+    .map((cell) =>
+      typeof cell === "number"
+        ? `<td class="qty">${cell}</td>`
+        : `<td>${escapeHtml(cell)}</td>`
+    )
+    .join("")}</tr>`;
+
+const note = (label, text) =>
+  `<div class="note"><strong>${label}:</strong> ${escapeHtml(text)}</div>`;
+
+function slipHtml(shop_name, slip) {
+  const items = slip.items
+    .map((item) => row([item.sku, item.title, item.variation, item.quantity]))
+    .join("\n");
+  return [
+    `<section class="slip"><h1>${escapeHtml(shop_name)}</h1>`,
+    `<p>Order #${escapeHtml(slip.receipt_id)} &middot; ${slip.ordered_on}</p>`,
+    `<p><strong>Ship to</strong><br>${slip.ship_to
+      .map(escapeHtml)
+      .join("<br>")}</p>`,
+    `<table><thead><tr><th>SKU</th><th>Item</th><th>Variation</th><th class="qty">Qty</th></tr></thead>`,
+    `<tbody>${items}</tbody></table>`,
+    slip.message_from_buyer
+      ? note("Note from buyer", slip.message_from_buyer)
+      : "",
+    slip.gift_message !== null ? note("Gift message", slip.gift_message) : "",
+    "</section>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function slipsHtml(shop_name, slips) {
+  return htmlPage(
+    `Packing slips - ${shop_name}`,
+    slips.map((slip) => slipHtml(shop_name, slip)).join("\n")
+  );
+}
+
+function pickListHtml(shop_name, lines, receipt_ids) {
+  const total = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const rows = lines
+    .map((line) =>
+      row([
+        line.sku,
+        line.title,
+        line.variation,
+        line.quantity,
+        line.receipt_ids.join(", "),
+      ])
+    )
+    .join("\n");
+  return htmlPage(
+    `Pick list - ${shop_name}`,
+    [
+      `<h1>Pick list - ${escapeHtml(shop_name)}</h1>`,
+      `<p>${receipt_ids.length} order(s), ${total} item(s): ${receipt_ids
+        .map(escapeHtml)
+        .join(", ")}</p>`,
+      `<table><thead><tr><th>SKU</th><th>Item</th><th>Variation</th><th class="qty">Qty</th><th>Orders</th></tr></thead>`,
+      `<tbody>${rows}</tbody></table>`,
+    ].join("\n")
+  );
+}
+
+// PDF
+
+const PAGE_MARGIN = 40;
+
+// Write a document with pdfkit and resolve with its bytes
+function renderPdf(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    draw(doc);
+    doc.end();
+  });
+}
+
+// A table of rows; columns are [{ label, width, key, align }]
+function pdfTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(10);
+    const heights = columns.map((col, i) =>
+      doc.heightOfString(String(cells[i] ?? ""), { width: col.width - 6 })
+    );
+    const height = Math.max(...heights) + 6;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom)
+      doc.addPage();
+    const top = doc.y;
+    let x = left;
+    columns.forEach((col, i) => {
+      doc.text(String(cells[i] ?? ""), x, top + 3, {
+        width: col.width - 6,
+        align: col.align || "left",
+      });
+      x += col.width;
+    });
+    doc
+      .moveTo(left, top + height)
+      .lineTo(x, top + height)
+      .strokeColor("#cccccc")
+      .stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+  drawRow(
+    columns.map((col) => col.label),
+    "Helvetica-Bold"
+  );
+  rows.forEach((row) =>
+    drawRow(
+      columns.map((col) => row[col.key]),
+      "Helvetica"
+    )
+  );
+}
+
+const ITEM_COLUMNS = [
+  { label: "SKU", key: "sku", width: 110 },
+  { label: "Item", key: "title", width: 230 },
+  { label: "Variation", key: "variation", width: 135 },
+  { label: "Qty", key: "quantity", width: 40, align: "right" },
+];
+
+function slipsPdf(shop_name, slips) {
+  return renderPdf((doc) => {
+    slips.forEach((slip, i) => {
+      if (i) doc.addPage();
+      doc.font("Helvetica-Bold").fontSize(16).text(shop_name);
+      doc
+        .font("Helvetica")
+        .fontSize(10)
+        .text(`Order #${slip.receipt_id}  ·  ${slip.ordered_on}`)
+        .moveDown();
+      doc.font("Helvetica-Bold").text("Ship to");
+      doc.font("Helvetica").text(slip.ship_to.join("\n")).moveDown();
+      pdfTable(doc, ITEM_COLUMNS, slip.items);
+      if (slip.message_from_buyer)
+        doc
+          .moveDown()
+          .font("Helvetica-Bold")
+          .text("Note from buyer: ", { continued: true })
+          .font("Helvetica")
+          .text(slip.message_from_buyer);
+      if (slip.gift_message !== null)
+        doc
+          .moveDown()
+          .font("Helvetica-Bold")
+          .text("Gift message: ", { continued: true })
+          .font("Helvetica")
+          .text(slip.gift_message);
+    });
+  });
+}
+
+function pickListPdf(shop_name, lines, receipt_ids) {
+  const total = lines.reduce((sum, line) => sum + line.quantity, 0);
+  return renderPdf((doc) => {
+    doc.font("Helvetica-Bold").fontSize(16).text(`Pick list - ${shop_name}`);
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .text(
+        `${receipt_ids.length} order(s), ${total} item(s): ${receipt_ids.join(
+          ", "
+        )}`
+      )
+      .moveDown();
+    pdfTable(
+      doc,
+      [
+        { label: "SKU", key: "sku", width: 95 },
+        { label: "Item", key: "title", width: 185 },
+        { label: "Variation", key: "variation", width: 110 },
+        { label: "Qty", key: "quantity", width: 35, align: "right" },
+        { label: "Orders", key: "orders", width: 90 },
+      ],
+      lines.map((line) => ({ ...line, orders: line.receipt_ids.join(", ") }))
+    );
+  });
+}
+
+// Packing slips for receipts, as { contentType, body }
+async function renderPackingSlips(shop_name, receipts, format) {
+  const slips = receipts.map(packingSlip);
+  if (format === "json")
+    return { contentType: "application/json", body: { slips } };
+  if (format === "pdf")
+    return {
+      contentType: "application/pdf",
+      body: await slipsPdf(shop_name, slips),
+    };
+  return {
+    contentType: "text/html; charset=utf-8",
+    body: slipsHtml(shop_name, slips),
+  };
+}
+
+// The pick list for receipts, as { contentType, body }
+async function renderPickList(shop_name, receipts, format) {
+  const lines = pickList(receipts);
+  const receipt_ids = receipts.map((r) => r.receipt_id);
+  if (format === "json")
+    return {
+      contentType: "application/json",
+      body: { receipt_ids, count: lines.length, lines },
+    };
+  if (format === "pdf")
+    return {
+      contentType: "application/pdf",
+      body: await pickListPdf(shop_name, lines, receipt_ids),
+    };
+  return {
+    contentType: "text/html; charset=utf-8",
+    body: pickListHtml(shop_name, lines, receipt_ids),
+  };
+}
+
+module.exports = { FORMATS, pickList, renderPackingSlips, renderPickList };
@@ -0,0 +1,53 @@
+// lib/pkce-store.js
+// OAuth state -> { code_verifier, return_to, scopes } pairs between
+// /auth/login and /auth/callback. Kept in a JSON file (PKCE_STORE) so a
+// restart mid-login does not strand the user, written via write-then-rename,
+// and expired after PKCE_TTL_MINUTES. Expired entries are swept periodically.
+const { PKCE_STORE, PKCE_TTL_MINUTES } = require("./config");
+const { jsonStore } = require("./json-store");
+
+const TTL_MS = Number(PKCE_TTL_MINUTES) * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const { load, persist } = jsonStore(PKCE_STORE, {
+  label: "PKCE store",
+  mode: 0o600,
+});
+
+const isExpired = (entry) => entry.expires_at <= Date.now();
+
+function putState(state, fields) {
+  const now = Date.now();
+  load()[state] = { ...fields, created_at: now, expires_at: now + TTL_MS };
+  persist();
+}
+
+// Remove and return the entry for a state; null if unknown or expired.
+// A state can only be used once.
+function takeState(state) {
+  // own keys only: "__proto__" or "constructor" are not states
+  const entries = load();
+  if (typeof state !== "string" || !Object.hasOwn(entries, state)) return null;
+  const entry = entries[state];
+  delete entries[state];
+  persist();
+  return isExpired(entry) ? null : entry;
+}
+
+// Drop expired entries; returns how many were removed
+function sweep() {
+  const store = load();
+  const expired = Object.keys(store).filter((state) => isExpired(store[state]));
+  if (!expired.length) return 0;
+  expired.forEach((state) => delete store[state]);
+  persist();
+  return expired.length;
+}
+
+// Periodic sweeping; the timer does not keep the process alive
+function startSweeping() {
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = { putState, takeState, sweep, startSweeping };
@@ -0,0 +1,251 @@
+// lib/poller.js
+// Background poller that notices what happens in connected shops and turns
+// it into events for the outbound webhooks (see lib/webhooks.js):
+//   order.created          a receipt created since the last poll
+//   listing.state_changed  e.g. active -> sold_out, active -> expired
+//   stock.depleted         a product's quantity dropped to zero
+// Per shop it keeps a cursor (newest receipt seen) and a snapshot of listing
+// states and product quantities in a JSON file (EVENT_STORE), so restarts
+// neither replay nor miss events. The first poll of a shop only records the
+// baseline. Shops no webhook subscribes to are not polled at all.
+const crypto = require("crypto");
+const { EtsyApiError } = require("./etsy-error");
+const { EVENT_STORE, POLL_INTERVAL_MINUTES } = require("./config");
+const { jsonStore } = require("./json-store");
+const { listConnections } = require("./tokens");
+const { listReceipts } = require("./orders");
+const { moneyValue } = require("./sku-index");
+const {
+  EXPORT_STATES: LISTING_STATES,
+  listingPages,
+} = require("./listing-export");
+const { hasSubscribers, dispatch, deliverDue } = require("./webhooks");
+
+const INTERVAL_MS = Number(POLL_INTERVAL_MINUTES) * 60 * 1000;
+const PAGE_SIZE = 100;
+// events kept for GET /events
+const KEEP_EVENTS = 200;
+
+const { load, persist } = jsonStore(EVENT_STORE, {
+  label: "event store",
+  initial: () => ({ shops: {}, events: [] }),
+});
+let running = null;
+let lastRun = null;
+
+function emit(shop_id, type, data) {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    shop_id: String(shop_id),
+    occurred_at: new Date().toISOString(),
+    data,
+  };
+  const store = load();
+  store.events.push(event);
+  store.events = store.events.slice(-KEEP_EVENTS);
+  dispatch(event);
+  return event;
+}
+
+// Receipts created since the cursor, oldest first. Resolves with the new
+// cursor { since, seen } (seen: receipt IDs created at `since`, which the
+// next poll asks for again).
+async function pollReceipts(shop_id, cursor) {
+  if (!cursor) return { since: Math.floor(Date.now() / 1000), seen: [] };
+  let { since, seen } = cursor;
+  const found = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await listReceipts(shop_id, {
+      min_created: cursor.since,
+      limit: PAGE_SIZE,
+      offset,
+      sort_on: "created",
+      sort_order: "asc",
+    });
+    found.push(...page.results);
+    if (page.next_offset === null) break;
+  }
+  found
+    .filter((receipt) => !cursor.seen.includes(receipt.receipt_id))
+    .forEach((receipt) => {
+      const created = receipt.created_timestamp || receipt.create_timestamp;
+      emit(shop_id, "order.created", {
+        receipt_id: receipt.receipt_id,
+        buyer_name: receipt.name,
+        is_paid: receipt.is_paid,
+        grandtotal: moneyValue(receipt.grandtotal),
+        currency: receipt.grandtotal?.currency_code,
+        items: (receipt.transactions || []).length,
+        created_at: new Date(created * 1000).toISOString(),
+      });
+      if (created > since) {
+        since = created;
+        seen = [];
+      }
+      seen = [...seen, receipt.receipt_id];
+    });
+  return { since, seen };
+}
+
+// Every listing's state and every product's quantity:
+// { listings: { id: { state, title } }, stock: { "listing:product": ... } }
+async function listingSnapshot(shop_id) {
+  const snapshot = { listings: {}, stock: {} };
+  for (const state of LISTING_STATES) {
+    for await (const listings of listingPages(shop_id, state, ["Inventory"])) {
+      listings.forEach((listing) => {
+        snapshot.listings[listing.listing_id] = {
+          state: listing.state,
+          title: listing.title,
+        };
+        (listing.inventory?.products || [])
+          .filter((product) => !product.is_deleted)
+          .forEach((product) => {
+            snapshot.stock[`${listing.listing_id}:${product.product_id}`] = {
+              listing_id: listing.listing_id,
+              product_id: product.product_id,
+              sku: product.sku || null,
+              quantity: (product.offerings || [])
+                .filter((o) => !o.is_deleted && o.is_enabled !== false)
+                .reduce((sum, o) => sum + (o.quantity || 0), 0),
+            };
+          });
+      });
+    }
+  }
+  return snapshot;
+}
+
+// Compare a new snapshot with the previous one and emit the differences
+function compareListings(shop_id, previous, current) {
+  if (!previous) return;
+  Object.entries(current.listings).forEach(([listing_id, listing]) => {
+    const before = previous.listings[listing_id];
+    if (before && before.state !== listing.state)
+      emit(shop_id, "listing.state_changed", {
+        listing_id: Number(listing_id),
+        title: listing.title,
+        from: before.state,
+        to: listing.state,
+      });
+  });
+  Object.entries(current.stock).forEach(([key, product]) => {
+    const before = previous.stock[key];
+    if (before && before.quantity > 0 && product.quantity <= 0)
+      emit(shop_id, "stock.depleted", {
+        ...product,
+        title: current.listings[product.listing_id]?.title,
+        previous_quantity: before.quantity,
+      });
+  });
+}
+
+// Poll one shop. Each part advances its own cursor only when it succeeds.
+// Resolves with { shop_id, events, errors }.
+async function pollShop(shop_id) {
+  const store = load();
+  const state = (store.shops[shop_id] = store.shops[shop_id] || {});
+  const before = store.events.length;
+  const errors = [];
+  try {
+    state.receipts = await pollReceipts(shop_id, state.receipts);
+  } catch (err) {
+    errors.push({ part: "receipts", error: EtsyApiError.from(err).toJSON() });
+  }
+  try {
+    const snapshot = await listingSnapshot(shop_id);
+    compareListings(shop_id, state.snapshot, snapshot);
+    state.snapshot = snapshot;
+  } catch (err) {
+    errors.push({ part: "listings", error: EtsyApiError.from(err).toJSON() });
+  }
+  state.polled_at = new Date().toISOString();
+  persist();
+  errors.forEach(({ part, error }) =>
+    console.error(`Polling ${part} of shop ${shop_id} failed:`, error.message)
+  );
+  return {
+    shop_id,
+    events: Math.max(0, store.events.length - before),
+    errors,
+  };
+}
+
+// Poll every connected shop with a webhook subscribed to it, one at a time.
+// Concurrent calls share the run in progress. Resolves with the run summary;
+// `skipped` lists the shops nobody subscribes to.
+function pollAll() {
+  if (running) return running;
+  running = (async () => {
+    const run = {
+      started_at: new Date().toISOString(),
+      shops: [],
+      skipped: [],
+    };
+    for (const { shop_id } of listConnections()) {
+      if (hasSubscribers(shop_id))
+        run.shops.push(await pollShop(String(shop_id)));
+      else run.skipped.push(String(shop_id));
+    }
+    run.finished_at = new Date().toISOString();
+    lastRun = run;
+    // send the new events now rather than on the next delivery tick
+    if (run.shops.some((shop) => shop.events))
+      deliverDue().catch((err) =>
+        console.error("Webhook delivery failed:", err.message)
+      );
+    return run;
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+// Recent events (newest first), optionally of one type and/or shop
+function listEvents({ type, shop_id } = {}) {
+  return load()
+    .events.filter(
+      (e) =>
+        (!type || e.type === type) &&
+        (!shop_id || e.shop_id === String(shop_id))
+    )
+    .slice()
+    .reverse();
+}
+
+function pollerStatus() {
+  const shops = {};
+  Object.entries(load().shops).forEach(([shop_id, state]) => {
+    shops[shop_id] = {
+      polled_at: state.polled_at || null,
+      receipts_since: state.receipts
+        ? new Date(state.receipts.since * 1000).toISOString()
+        : null,
+      listings: state.snapshot
+        ? Object.keys(state.snapshot.listings).length
+        : null,
+    };
+  });
+  return {
+    interval_minutes: Number(POLL_INTERVAL_MINUTES),
+    running: Boolean(running),
+    last_run: lastRun,
+    shops,
+  };
+}
+
+// Poll every POLL_INTERVAL_MINUTES (0 turns polling off); the timer does not
+// keep the process alive
+function startPolling() {
+  if (!INTERVAL_MS) {
+    console.log("Shop polling is off (POLL_INTERVAL_MINUTES=0)");
+    return;
+  }
+  const poll = () =>
+    pollAll().catch((err) => console.error("Polling failed:", err.message));
+  poll();
+  setInterval(poll, INTERVAL_MS).unref();
+}
+
+module.exports = { pollAll, listEvents, pollerStatus, startPolling };
@@ -0,0 +1,94 @@
+// lib/reference-data.js
+// Shop and taxonomy reference data (shipping profiles, return policies, shop
+// sections, readiness states, seller taxonomy), kept in the cache (see lib/cache.js) so
+// validation and the reference routes do not hit Etsy for every request.
+// The *Entry functions resolve with the cache entry (value plus ETag and
+// expiry); the get* functions with the value alone.
+const etsy = require("./etsy-client");
+const { cached } = require("./cache");
+
+// Cache type -> Etsy path of a shop resource
+const SHOP_RESOURCES = {
+  "shipping-profiles": (shop_id) => `/shops/${shop_id}/shipping-profiles`,
+  "return-policies": (shop_id) => `/shops/${shop_id}/policies/return`,
+  "shop-sections": (shop_id) => `/shops/${shop_id}/sections`,
+  "readiness-state-definitions": (shop_id) =>
+    `/shops/${shop_id}/readiness-state-definitions`,
+};
+
+function shopResourceEntry(shop_id, type, options) {
+  return cached(
+    type,
+    shop_id,
+    async () => {
+      const data = await etsy.get(SHOP_RESOURCES[type](shop_id), { shop_id });
+      return data.results || [];
+    },
+    options
+  );
+}
+
+// Seller taxonomy tree (top-level nodes with nested children)
+function taxonomyEntry(options) {
+  return cached(
+    "taxonomy",
+    "all",
+    async () => {
+      const data = await etsy.get("/seller-taxonomy/nodes", { auth: false });
+      return data.results || [];
+    },
+    options
+  );
+}
+
+// Properties (with possible values and scales) of one taxonomy node
+function taxonomyPropertiesEntry(taxonomy_id, options) {
+  return cached(
+    "taxonomy-properties",
+    taxonomy_id,
+    async () => {
+      const data = await etsy.get(
+        `/seller-taxonomy/nodes/${taxonomy_id}/properties`,
+        { auth: false }
+      );
+      return data.results || [];
+    },
+    options
+  );
+}
+
+const valueOf = (entry) => entry.then((e) => e.value);
+
+const getShippingProfiles = (shop_id) =>
+  valueOf(shopResourceEntry(shop_id, "shipping-profiles"));
+const getReturnPolicies = (shop_id) =>
+  valueOf(shopResourceEntry(shop_id, "return-policies"));
+const getShopSections = (shop_id) =>
+  valueOf(shopResourceEntry(shop_id, "shop-sections"));
+const getReadinessStateDefinitions = (shop_id) =>
+  valueOf(shopResourceEntry(shop_id, "readiness-state-definitions"));
+const getTaxonomyNodes = () => valueOf(taxonomyEntry());
+const getTaxonomyProperties = (taxonomy_id) =>
+  valueOf(taxonomyPropertiesEntry(taxonomy_id));
+
+// Flatten the taxonomy tree into a list of every node
+function flattenTaxonomy(nodes, out = []) {
+  nodes.forEach((node) => {
+    out.push(node);
+    if (Array.isArray(node.children)) flattenTaxonomy(node.children, out);
+  });
+  return out;
+}
+
+module.exports = {
+  shopResourceEntry,
+  taxonomyEntry,
+  taxonomyPropertiesEntry,
+  getShippingProfiles,
+  getReturnPolicies,
+  getShopSections,
+  getReadinessStateDefinitions,
+  getTaxonomyNodes,
+  getTaxonomyProperties,
+  flattenTaxonomy,
+};
@@ -0,0 +1,94 @@
+// lib/return-policies.js
+// Shop return policies: field rules and the Etsy calls that create, update
+// and delete them.
+const etsy = require("./etsy-client");
+const { validate } = require("./listing-schema");
+const { invalidating } = require("./cache");
+
+// Days a buyer has to return or exchange an item
+const RETURN_DEADLINES = [7, 14, 21, 30, 45, 60, 90];
+
+// Etsy takes the whole policy on update too, so the same rules apply
+const returnPolicySchema = {
+  accepts_returns: { type: "boolean", required: true },
+  accepts_exchanges: { type: "boolean", required: true },
+  return_deadline: { type: "enum", values: RETURN_DEADLINES },
+};
+
+// A deadline goes with accepting returns or exchanges, and only then
+const deadlineRule = (body) => {
+  const accepts =
+    body.accepts_returns === true || body.accepts_exchanges === true;
+  const hasDeadline =
+    body.return_deadline !== undefined && body.return_deadline !== null;
+  if (accepts && !hasDeadline)
+    return {
+      field: "return_deadline",
+      code: "required",
+      message:
+        "return_deadline is required when returns or exchanges are accepted",
+    };
+  if (!accepts && hasDeadline)
+    return {
+      field: "return_deadline",
+      code: "invalid",
+      message: "return_deadline needs accepts_returns or accepts_exchanges",
+    };
+  return null;
+};
+
+function validateReturnPolicy(body) {
+  return validate(returnPolicySchema, body, { refinements: [deadlineRule] });
+}
+
+const policyPayload = ({
+  accepts_returns,
+  accepts_exchanges,
+  return_deadline,
+}) =>
+  accepts_returns || accepts_exchanges
+    ? { accepts_returns, accepts_exchanges, return_deadline }
+    : { accepts_returns, accepts_exchanges };
+
+const policyPath = (shop_id, policy_id) =>
+  `/shops/${shop_id}/policies/return/${policy_id}`;
+
+const write = invalidating("return-policies");
+
+function getReturnPolicy(shop_id, policy_id) {
+  return etsy.get(policyPath(shop_id, policy_id), { shop_id });
+}
+
+function createReturnPolicy(shop_id, body) {
+  return write(
+    shop_id,
+    etsy.post(`/shops/${shop_id}/policies/return`, policyPayload(body), {
+      shop_id,
+    })
+  );
+}
+
+function updateReturnPolicy(shop_id, policy_id, body) {
+  return write(
+    shop_id,
+    etsy.put(policyPath(shop_id, policy_id), policyPayload(body), { shop_id })
+  );
+}
+
+// Etsy refuses while listings use the policy; move them first (see
+// lib/listing-moves.js)
+function deleteReturnPolicy(shop_id, policy_id) {
+  return write(
+    shop_id,
+    etsy.delete(policyPath(shop_id, policy_id), { shop_id })
+  );
+}
+
+module.exports = {
+  RETURN_DEADLINES,
+  validateReturnPolicy,
+  getReturnPolicy,
+  createReturnPolicy,
+  updateReturnPolicy,
+  deleteReturnPolicy,
+};
@@ -0,0 +1,228 @@
+// lib/shipping-profiles.js
+// Shop shipping profiles with their destinations (cost per country or
+// region) and upgrades (paid faster options): field rules for each and the
+// Etsy calls that create, update and delete them.
+const etsy = require("./etsy-client");
+const { validate } = require("./listing-schema");
+const { invalidating } = require("./cache");
+
+const PROCESSING_UNITS = ["business_days", "weeks"];
+const DESTINATION_REGIONS = ["eu", "non_eu", "none"];
+// 0 = domestic, 1 = international
+const UPGRADE_TYPES = [0, 1];
+
+const countryRule = {
+  type: "string",
+  pattern: /^[A-Z]{2}$/,
+  patternMessage: "must be a two-letter ISO country code, e.g. US",
+};
+const costRule = { type: "number", min: 0, max: 10000 };
+const deliveryDaysRule = { type: "integer", min: 1, max: 45 };
+
+// Carrier and delivery time fields shared by destinations and upgrades
+const deliverySchema = {
+  shipping_carrier_id: { type: "integer", min: 0 },
+  mail_class: { type: "string", maxLength: 255 },
+  min_delivery_days: deliveryDaysRule,
+  max_delivery_days: deliveryDaysRule,
+};
+
+// createShopShippingProfile: the profile plus its first destination
+const profileSchema = {
+  title: { type: "string", required: true, maxLength: 255 },
+  origin_country_iso: { ...countryRule, required: true },
+  origin_postal_code: { type: "string", maxLength: 20 },
+  processing_time_unit: { type: "enum", values: PROCESSING_UNITS },
+  min_processing_time: { type: "integer", required: true, min: 1, max: 10 },
+  max_processing_time: { type: "integer", required: true, min: 1, max: 10 },
+  primary_cost: { ...costRule, required: true },
+  secondary_cost: { ...costRule, required: true },
+  destination_country_iso: countryRule,
+  destination_region: { type: "enum", values: DESTINATION_REGIONS },
+  ...deliverySchema,
+};
+
+// updateShopShippingProfile only takes these; costs live on destinations
+const PROFILE_UPDATE_FIELDS = [
+  "title",
+  "origin_country_iso",
+  "origin_postal_code",
+  "processing_time_unit",
+  "min_processing_time",
+  "max_processing_time",
+];
+
+const destinationSchema = {
+  primary_cost: { ...costRule, required: true },
+  secondary_cost: { ...costRule, required: true },
+  destination_country_iso: countryRule,
+  destination_region: { type: "enum", values: DESTINATION_REGIONS },
+  ...deliverySchema,
+};
+
+const upgradeSchema = {
+  type: { type: "enum", required: true, values: UPGRADE_TYPES },
+  upgrade_name: { type: "string", required: true, maxLength: 100 },
+  price: { ...costRule, required: true },
+  secondary_price: { ...costRule, required: true },
+  ...deliverySchema,
+};
+
+// min_<name> must not exceed max_<name>
+const range = (name) => (body) =>
+  body[`min_${name}`] !== undefined &&
+  body[`max_${name}`] !== undefined &&
+  Number(body[`min_${name}`]) > Number(body[`max_${name}`])
+    ? {
+        field: `max_${name}`,
+        code: "invalid",
+        message: `max_${name} must be greater than or equal to min_${name}`,
+      }
+    : null;
+
+const carrierNeedsMailClass = (body) =>
+  body.shipping_carrier_id && !body.mail_class
+    ? {
+        field: "mail_class",
+        code: "required",
+        message: "mail_class is required with shipping_carrier_id",
+      }
+    : null;
+
+// A destination is one country or one region, not both. When creating,
+// leaving both out means "everywhere else".
+const oneDestination = (body) =>
+  body.destination_country_iso && body.destination_region
+    ? {
+        field: "destination_region",
+        code: "invalid",
+        message: "send destination_country_iso or destination_region, not both",
+      }
+    : null;
+
+const pick = (body, fields) =>
+  Object.fromEntries(
+    fields.filter((f) => body[f] !== undefined).map((f) => [f, body[f]])
+  );
+
+// Field-level errors for a profile body. With partial: true (updates) only
+// the updatable fields are checked and none is required.
+function validateShippingProfile(body, { partial = false } = {}) {
+  const schema = partial
+    ? pick(profileSchema, PROFILE_UPDATE_FIELDS)
+    : profileSchema;
+  return validate(schema, body, {
+    partial,
+    refinements: [
+      range("processing_time"),
+      ...(partial
+        ? []
+        : [range("delivery_days"), carrierNeedsMailClass, oneDestination]),
+    ],
+  });
+}
+
+function validateDestination(body, { partial = false } = {}) {
+  return validate(destinationSchema, body, {
+    partial,
+    refinements: [
+      range("delivery_days"),
+      carrierNeedsMailClass,
+      oneDestination,
+    ],
+  });
+}
+
+function validateUpgrade(body, { partial = false } = {}) {
+  return validate(upgradeSchema, body, {
+    partial,
+    refinements: [range("delivery_days"), carrierNeedsMailClass],
+  });
+}
+
+const profilePath = (shop_id, profile_id) =>
+  `/shops/${shop_id}/shipping-profiles/${profile_id}`;
+
+const write = invalidating("shipping-profiles");
+
+// A profile with its destinations and upgrades
+function getShippingProfile(shop_id, profile_id) {
+  return etsy.get(profilePath(shop_id, profile_id), { shop_id });
+}
+
+function createShippingProfile(shop_id, body) {
+  return write(
+    shop_id,
+    etsy.post(
+      `/shops/${shop_id}/shipping-profiles`,
+      pick(body, Object.keys(profileSchema)),
+      { shop_id }
+    )
+  );
+}
+
+function updateShippingProfile(shop_id, profile_id, body) {
+  return write(
+    shop_id,
+    etsy.put(
+      profilePath(shop_id, profile_id),
+      pick(body, PROFILE_UPDATE_FIELDS),
+      { shop_id }
+    )
+  );
+}
+
+// Etsy refuses while listings still use the profile; move them first
+// (see lib/listing-moves.js)
+function deleteShippingProfile(shop_id, profile_id) {
+  return write(
+    shop_id,
+    etsy.delete(profilePath(shop_id, profile_id), { shop_id })
+  );
+}
+
+// Destinations and upgrades share the same create/update/delete shape:
+// <profile>/destinations[/id] and <profile>/upgrades[/id]
+function profileItemCalls(collection, schema) {
+  const fields = Object.keys(schema);
+  const base = (shop_id, profile_id) =>
+    `${profilePath(shop_id, profile_id)}/${collection}`;
+  return {
+    create: (shop_id, profile_id, body) =>
+      write(
+        shop_id,
+        etsy.post(base(shop_id, profile_id), pick(body, fields), { shop_id })
+      ),
+    update: (shop_id, profile_id, id, body) =>
+      write(
+        shop_id,
+        etsy.put(`${base(shop_id, profile_id)}/${id}`, pick(body, fields), {
+          shop_id,
+        })
+      ),
+    remove: (shop_id, profile_id, id) =>
+      write(
+        shop_id,
+        etsy.delete(`${base(shop_id, profile_id)}/${id}`, { shop_id })
+      ),
+  };
+}
+
+const destinations = profileItemCalls("destinations", destinationSchema);
+const upgrades = profileItemCalls("upgrades", upgradeSchema);
+
+module.exports = {
+  validateShippingProfile,
+  validateDestination,
+  validateUpgrade,
+  getShippingProfile,
+  createShippingProfile,
+  updateShippingProfile,
+  deleteShippingProfile,
+  createDestination: destinations.create,
+  updateDestination: destinations.update,
+  deleteDestination: destinations.remove,
+  createUpgrade: upgrades.create,
+  updateUpgrade: upgrades.update,
+  deleteUpgrade: upgrades.remove,
+};
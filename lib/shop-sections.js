@@ -0,0 +1,55 @@
+// lib/shop-sections.js
+// Shop sections (the groups listings are shown under in the shop): field
+// rules and the Etsy calls that create, rename and delete them.
+const etsy = require("./etsy-client");
+const { validate } = require("./listing-schema");
+const { invalidating } = require("./cache");
+
+const sectionSchema = {
+  title: { type: "string", required: true, maxLength: 24 },
+};
+
+function validateShopSection(body) {
+  return validate(sectionSchema, body);
+}
+
+const sectionPath = (shop_id, section_id) =>
+  `/shops/${shop_id}/sections/${section_id}`;
+
+const write = invalidating("shop-sections");
+
+function getShopSection(shop_id, section_id) {
+  return etsy.get(sectionPath(shop_id, section_id), { shop_id });
+}
+
+function createShopSection(shop_id, { title }) {
+  const payload = { title: title.trim() };
+  return write(
+    shop_id,
+    etsy.post(`/shops/${shop_id}/sections`, payload, { shop_id })
+  );
+}
+
+function updateShopSection(shop_id, section_id, { title }) {
+  const payload = { title: title.trim() };
+  return write(
+    shop_id,
+    etsy.put(sectionPath(shop_id, section_id), payload, { shop_id })
+  );
+}
+
+// Listings in the section stay in the shop, outside any section
+function deleteShopSection(shop_id, section_id) {
+  return write(
+    shop_id,
+    etsy.delete(sectionPath(shop_id, section_id), { shop_id })
+  );
+}
+
+module.exports = {
+  validateShopSection,
+  getShopSection,
+  createShopSection,
+  updateShopSection,
+  deleteShopSection,
+};
@@ -0,0 +1,139 @@
+// lib/sku-index.js
+// Local index of where every SKU lives: shop -> sku -> the listing, product
+// and offering(s) holding it. Built by paging through the shop's listings
+// with their inventories, kept in a JSON file (SKU_INDEX) written via
+// write-then-rename, and updated per listing whenever we change an inventory.
+const etsy = require("./etsy-client");
+const { SKU_INDEX } = require("./config");
+const { jsonStore } = require("./json-store");
+
+// Listing states whose inventories are indexed
+const INDEXED_STATES = ["active", "inactive", "draft", "sold_out", "expired"];
+const PAGE_SIZE = 100;
+
+const { load, persist } = jsonStore(SKU_INDEX, { label: "SKU index" });
+
+// Etsy money ({ amount, divisor }) as a plain number
+const moneyValue = (price) =>
+  price && typeof price === "object" ? price.amount / price.divisor : price;
+
+// One index entry per offering of every product that has a SKU
+function entriesFor(listing, inventory) {
+  const entries = [];
+  (inventory?.products || []).forEach((product) => {
+    if (product.is_deleted || !product.sku) return;
+    const variation = (product.property_values || [])
+      .map((pv) => `${pv.property_name}: ${(pv.values || []).join(", ")}`)
+      .join("; ");
+    (product.offerings || []).forEach((offering) => {
+      if (offering.is_deleted) return;
+      entries.push({
+        sku: String(product.sku),
+        listing_id: listing.listing_id,
+        title: listing.title,
+        state: listing.state,
+        product_id: product.product_id,
+        offering_id: offering.offering_id,
+        variation: variation || null,
+        price: moneyValue(offering.price),
+        quantity: offering.quantity,
+        is_enabled: offering.is_enabled,
+      });
+    });
+  });
+  return entries;
+}
+
+function shopIndex(shop_id) {
+  const store = load();
+  const key = String(shop_id);
+  store[key] = store[key] || { built_at: null, skus: {} };
+  return store[key];
+}
+
+// Remove a listing's entries from a shop's skus map
+function dropListing(skus, listing_id) {
+  Object.keys(skus).forEach((sku) => {
+    skus[sku] = skus[sku].filter(
+      (e) => String(e.listing_id) !== String(listing_id)
+    );
+    if (!skus[sku].length) delete skus[sku];
+  });
+}
+
+// Replace a listing's entries with those of its current inventory. Title and
+// state are kept from the old entries when `listing` does not give them.
+function indexListing(shop_id, listing, inventory) {
+  const { skus } = shopIndex(shop_id);
+  const previous = Object.values(skus)
+    .flat()
+    .find((e) => e.listing_id === listing.listing_id);
+  listing = { title: previous?.title, state: previous?.state, ...listing };
+  dropListing(skus, listing.listing_id);
+  entriesFor(listing, inventory).forEach((entry) => {
+    (skus[entry.sku] = skus[entry.sku] || []).push(entry);
+  });
+  persist();
+}
+
+// Forget a deleted listing, so its SKUs no longer resolve to it
+function removeListing(shop_id, listing_id) {
+  const entry = load()[String(shop_id)];
+  if (!entry) return;
+  dropListing(entry.skus, listing_id);
+  persist();
+}
+
+// Rebuild the shop's index from Etsy. Resolves with { built_at, listings,
+// skus } counts.
+async function buildSkuIndex(shop_id) {
+  const skus = {};
+  let listings = 0;
+  for (const state of INDEXED_STATES) {
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await etsy.get(`/shops/${shop_id}/listings`, {
+        shop_id,
+        params: { state, limit: PAGE_SIZE, offset, includes: ["Inventory"] },
+      });
+      const results = page.results || [];
+      results.forEach((listing) => {
+        listings++;
+        entriesFor(listing, listing.inventory).forEach((entry) => {
+          (skus[entry.sku] = skus[entry.sku] || []).push(entry);
+        });
+      });
+      if (results.length < PAGE_SIZE || offset + PAGE_SIZE >= page.count) break;
+    }
+  }
+  const built_at = new Date().toISOString();
+  load()[String(shop_id)] = { built_at, skus };
+  persist();
+  return { built_at, listings, skus: Object.keys(skus).length };
+}
+
+function isIndexBuilt(shop_id) {
+  return Boolean(load()[String(shop_id)]?.built_at);
+}
+
+// Entries holding a SKU (exact match), or []
+function findSku(shop_id, sku) {
+  return load()[String(shop_id)]?.skus[String(sku)] || [];
+}
+
+function indexSummary(shop_id) {
+  const entry = load()[String(shop_id)];
+  return {
+    built_at: entry?.built_at || null,
+    skus: entry ? Object.keys(entry.skus).length : 0,
+  };
+}
+
+module.exports = {
+  moneyValue,
+  indexListing,
+  removeListing,
+  buildSkuIndex,
+  isIndexBuilt,
+  findSku,
+  indexSummary,
+};
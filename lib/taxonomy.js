@@ -0,0 +1,157 @@
+// lib/taxonomy.js
+// Navigation and search over the seller taxonomy tree (from the cache, see
+// lib/reference-data.js). Nodes are indexed by ID with their full path, so a
+// listing form can find a taxonomy_id by name instead of walking the tree.
+const { taxonomyEntry } = require("./reference-data");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Lowercase ASCII words: "Bags & Purses" -> ["bags", "purses"]
+const words = (text) =>
+  String(text)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Levenshtein distance, giving up (returning max + 1) beyond max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++)
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    if (Math.min(...current) > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// How well one query word matches a list of words: exact, prefix, substring,
+// then within a typo or two (longer words allow more)
+function wordScore(token, candidates) {
+  const typos = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+  return candidates.reduce((best, word) => {
+    if (word === token) return Math.max(best, 10);
+    if (word.startsWith(token)) return Math.max(best, 8);
+    if (word.includes(token)) return Math.max(best, 5);
+    if (typos && editDistance(token, word, typos) <= typos)
+      return Math.max(best, 4);
+    if (typos && editDistance(token, word.slice(0, token.length), typos) <= 1)
+      return Math.max(best, 3);
+    return best;
+  }, 0);
+}
+
+// Words to match a name against: its words, plus all of them run together
+// so "tshirt" finds "T-shirts" and "womens" finds "Women's"
+function nameWords(name) {
+  const list = words(name);
+  return list.length > 1 ? [...list, list.join("")] : list;
+}
+
+let indexed = { etag: null, nodes: null, roots: [] };
+
+// Map of id -> { id, name, level, parent_id, path, children, words } for
+// the current taxonomy, rebuilt when the cached tree changes
+async function taxonomyIndex() {
+  const entry = await taxonomyEntry();
+  if (indexed.etag === entry.etag) return indexed;
+  const nodes = new Map();
+  const visit = (node, parentPath) => {
+    const path = [...parentPath, { id: node.id, name: node.name }];
+    const children = Array.isArray(node.children) ? node.children : [];
+    nodes.set(node.id, {
+      id: node.id,
+      name: node.name,
+      level: node.level ?? path.length - 1,
+      parent_id:
+        node.parent_id ?? parentPath[parentPath.length - 1]?.id ?? null,
+      path,
+      children: children.map((child) => child.id),
+      words: nameWords(node.name),
+      path_words: parentPath.flatMap((p) => nameWords(p.name)),
+    });
+    children.forEach((child) => visit(child, path));
+  };
+  entry.value.forEach((node) => visit(node, []));
+  indexed = {
+    etag: entry.etag,
+    nodes,
+    roots: entry.value.map((node) => node.id),
+  };
+  return indexed;
+}
+
+const pathName = (node) => node.path.map((p) => p.name).join(" > ");
+
+function summary(nodes, id) {
+  const node = nodes.get(id);
+  return {
+    id: node.id,
+    name: node.name,
+    level: node.level,
+    path: pathName(node),
+    is_leaf: !node.children.length,
+  };
+}
+
+// Search node names (and, more weakly, their ancestors' names). Every word
+// of the query must match somewhere. Options: limit, leaf_only.
+async function searchTaxonomy(
+  query,
+  { limit = DEFAULT_LIMIT, leaf_only } = {}
+) {
+  const tokens = words(query);
+  if (!tokens.length) return [];
+  const { nodes } = await taxonomyIndex();
+  const phrase = tokens.join(" ");
+  const matches = [];
+  nodes.forEach((node) => {
+    if (leaf_only && node.children.length) return;
+    let score = 0;
+    for (const token of tokens) {
+      const inName = wordScore(token, node.words);
+      const inPath = wordScore(token, node.path_words) / 2;
+      if (!inName && !inPath) return;
+      score += Math.max(inName, inPath);
+    }
+    if (words(node.name).join(" ") === phrase) score += 20;
+    matches.push({ ...summary(nodes, node.id), score });
+  });
+  return matches
+    .sort(
+      (a, b) =>
+        b.score - a.score || a.level - b.level || a.path.localeCompare(b.path)
+    )
+    .slice(0, Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT));
+}
+
+// A node with its full path (root first) and its children, or null
+async function getTaxonomyNode(taxonomy_id) {
+  const { nodes } = await taxonomyIndex();
+  const node = nodes.get(Number(taxonomy_id));
+  if (!node) return null;
+  return {
+    ...summary(nodes, node.id),
+    parent_id: node.parent_id,
+    path_ids: node.path.map((p) => p.id),
+    ancestors: node.path.slice(0, -1),
+    children: node.children.map((id) => summary(nodes, id)),
+  };
+}
+
+// Top-level nodes
+async function taxonomyRoots() {
+  const { nodes, roots } = await taxonomyIndex();
+  return roots.map((id) => summary(nodes, id));
+}
+
+module.exports = { searchTaxonomy, getTaxonomyNode, taxonomyRoots };
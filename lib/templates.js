@@ -0,0 +1,203 @@
+// lib/templates.js
+// Named listing templates, stored per shop in a JSON file (TEMPLATE_STORE,
+// written via write-then-rename). A template holds default listing fields
+// plus optional description header/footer and tag snippets:
+//   {
+//     name: "tees",
+//     defaults: { who_made: "i_did", when_made: "made_to_order",
+//                 shipping_profile_id: 1, materials: ["cotton"] },
+//     description_header: "{{title}} — handmade to order.",
+//     description_footer: "Made from {{materials}}. SKU {{sku}}.",
+//     tags: ["{{color}} tee", "cotton"],
+//   }
+// A listing body with template: "tees" gets the defaults under its own
+// fields. Snippets may use {{field}} placeholders, filled from the merged
+// listing and the body's template_vars (arrays are joined with ", ").
+const { TEMPLATE_STORE } = require("./config");
+const { jsonStore } = require("./json-store");
+const {
+  validate,
+  validateListing,
+  validateListingForShop,
+} = require("./listing-schema");
+
+const MAX_TAGS = 13;
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const templateSchema = {
+  name: {
+    type: "string",
+    required: true,
+    maxLength: 64,
+    pattern: /^[\w-]+$/,
+    patternMessage: "may contain only letters, numbers, _ and -",
+  },
+  notes: { type: "string", maxLength: 500 },
+  defaults: { type: "object", required: true },
+  description_header: { type: "string", maxLength: 5000 },
+  description_footer: { type: "string", maxLength: 5000 },
+  tags: { type: "array", maxItems: MAX_TAGS, items: { type: "string" } },
+};
+
+// Fields a template cannot default: they identify a single listing
+const NOT_TEMPLATABLE_FIELDS = ["template", "template_vars", "sku", "video"];
+
+const { load, persist } = jsonStore(TEMPLATE_STORE, {
+  label: "template store",
+});
+
+const shopTemplates = (shop_id) => load()[String(shop_id)] || {};
+
+function listTemplates(shop_id) {
+  return Object.values(shopTemplates(shop_id)).sort((a, b) =>
+    a.name.localeCompare(b.name)
+  );
+}
+
+// Own keys only, so "constructor" or "__proto__" never name a template
+function getTemplate(shop_id, name) {
+  const templates = shopTemplates(shop_id);
+  return Object.hasOwn(templates, name) ? templates[name] : null;
+}
+
+// Field-level errors for a template body. Defaults are checked like a
+// partial listing, so a bad default is caught when the template is saved.
+function validateTemplate(body) {
+  const errors = validate(templateSchema, body);
+  if (typeof body?.name === "string" && body.name in Object.prototype)
+    errors.push({
+      field: "name",
+      code: "reserved",
+      message: `${body.name} is reserved and cannot name a template`,
+    });
+  const defaults = body?.defaults;
+  if (defaults && typeof defaults === "object" && !Array.isArray(defaults)) {
+    NOT_TEMPLATABLE_FIELDS.filter((f) => defaults[f] !== undefined).forEach(
+      (field) =>
+        errors.push({
+          field: `defaults.${field}`,
+          code: "not_templatable",
+          message: `${field} cannot be set by a template`,
+        })
+    );
+    validateListing(defaults, { partial: true }).forEach((error) =>
+      errors.push({ ...error, field: `defaults.${error.field}` })
+    );
+  }
+  return errors;
+}
+
+// Create or replace a template. Returns the stored template.
+function saveTemplate(shop_id, body) {
+  const key = String(shop_id);
+  const existing = getTemplate(shop_id, body.name);
+  const now = new Date().toISOString();
+  const template = {
+    name: body.name,
+    notes: body.notes,
+    defaults: body.defaults,
+    description_header: body.description_header,
+    description_footer: body.description_footer,
+    tags: body.tags,
+    created_at: existing?.created_at || now,
+    updated_at: now,
+  };
+  load()[key] = { ...shopTemplates(shop_id), [body.name]: template };
+  persist();
+  return template;
+}
+
+function deleteTemplate(shop_id, name) {
+  if (!getTemplate(shop_id, name)) return false;
+  delete load()[String(shop_id)][name];
+  persist();
+  return true;
+}
+
+// Fill {{placeholders}}; names not found are left in place and reported
+function fill(text, values, unresolved) {
+  return text.replace(PLACEHOLDER, (match, name) => {
+    const value = name
+      .split(".")
+      .reduce((obj, key) => (obj == null ? undefined : obj[key]), values);
+    if (value === undefined || value === null || value === "") {
+      unresolved.add(name);
+      return match;
+    }
+    return Array.isArray(value) ? value.join(", ") : String(value);
+  });
+}
+
+// Merge a listing body with the template it names. Resolves to { body,
+// errors, warnings }; bodies without `template` pass through unchanged.
+function applyTemplate(shop_id, body) {
+  if (!body || body.template === undefined)
+    return { body, errors: [], warnings: [] };
+  const { template: name, template_vars = {}, ...fields } = body;
+  const template = typeof name === "string" && getTemplate(shop_id, name);
+  if (!template)
+    return {
+      body,
+      errors: [
+        {
+          field: "template",
+          code: "unknown_template",
+          message: `No template named "${name}" (see GET /templates)`,
+        },
+      ],
+      warnings: [],
+    };
+
+  const merged = { ...template.defaults, ...fields };
+  const values = { ...merged, ...template_vars };
+  const unresolved = new Set();
+
+  const description = [
+    template.description_header,
+    fields.description ?? template.defaults.description,
+    template.description_footer,
+  ]
+    .filter((part) => typeof part === "string" && part.trim())
+    .join("\n\n");
+  if (description) merged.description = fill(description, values, unresolved);
+
+  if (template.tags?.length) {
+    const tags = [...(Array.isArray(fields.tags) ? fields.tags : [])];
+    template.tags
+      .map((tag) => fill(tag, values, unresolved).trim())
+      .forEach((tag) => {
+        if (!tags.some((t) => t.toLowerCase() === tag.toLowerCase()))
+          tags.push(tag);
+      });
+    merged.tags = tags.slice(0, MAX_TAGS);
+  }
+
+  const warnings = [...unresolved].map(
+    (placeholder) =>
+      `Template placeholder {{${placeholder}}} has no value; pass it in template_vars`
+  );
+  return { body: merged, errors: [], warnings };
+}
+
+// applyTemplate followed by validateListingForShop on the merged body.
+// Resolves to { body, errors, warnings }.
+async function validateTemplatedListing(shop_id, input) {
+  const { body, errors, warnings } = applyTemplate(shop_id, input);
+  if (errors.length) return { body, errors, warnings };
+  const result = await validateListingForShop(body, shop_id);
+  return {
+    body,
+    errors: result.errors,
+    warnings: [...warnings, ...result.warnings],
+  };
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  validateTemplate,
+  saveTemplate,
+  deleteTemplate,
+  applyTemplate,
+  validateTemplatedListing,
+};
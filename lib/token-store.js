@@ -0,0 +1,151 @@
+// lib/token-store.js
+// Where the token store lives. A backend loads and saves the whole store
+// object; TOKEN_BACKEND picks one:
+//   file   - TOKEN_STORE JSON file, rewritten via write-then-rename (default)
+//   sqlite - a single row in TOKEN_DB (needs the optional better-sqlite3)
+// With TOKEN_ENCRYPTION_KEY set, the store is encrypted with AES-256-GCM
+// before it is written. Stores written without a key are still read, and
+// encrypted on the next save once a key is configured.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const {
+  TOKEN_BACKEND,
+  TOKEN_STORE,
+  TOKEN_DB,
+  TOKEN_ENCRYPTION_KEY,
+} = require("./config");
+const { replaceFile } = require("./json-store");
+
+const ALGORITHM = "aes-256-gcm";
+
+// Any passphrase works; it is hashed down to a 256-bit key
+const key = TOKEN_ENCRYPTION_KEY
+  ? crypto.createHash("sha256").update(TOKEN_ENCRYPTION_KEY).digest()
+  : null;
+
+function encrypt(store) {
+  const json = JSON.stringify(store, null, 2);
+  if (!key) return json;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(json, "utf8"), cipher.final()]);
+  return JSON.stringify(
+    {
+      encrypted: ALGORITHM,
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    },
+    null,
+    2
+  );
+}
+
+// Throws (rather than returning an empty store) when an encrypted store
+// cannot be decrypted, so the next save does not overwrite it
+function decrypt(parsed) {
+  if (parsed.encrypted !== ALGORITHM) return parsed;
+  if (!key)
+    throw new Error(
+      "Token store is encrypted; set TOKEN_ENCRYPTION_KEY to read it"
+    );
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      key,
+      Buffer.from(parsed.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(parsed.tag, "base64"));
+    const json = Buffer.concat([
+      decipher.update(Buffer.from(parsed.data, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+    return JSON.parse(json);
+  } catch (e) {
+    throw new Error(
+      "Could not decrypt the token store; is TOKEN_ENCRYPTION_KEY correct?"
+    );
+  }
+}
+
+function fileBackend(file) {
+  const tokenFile = path.resolve(file);
+  return {
+    name: "file",
+    location: tokenFile,
+    load() {
+      if (!fs.existsSync(tokenFile)) return {};
+      let parsed;
+      try {
+        parsed = JSON.parse(fs.readFileSync(tokenFile, "utf8"));
+      } catch (e) {
+        console.error(`Could not read token store ${tokenFile}:`, e.message);
+        return {};
+      }
+      return decrypt(parsed);
+    },
+    save(store) {
+      replaceFile(tokenFile, encrypt(store), 0o600);
+    },
+  };
+}
+
+function sqliteBackend(file) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (e) {
+    throw new Error(
+      "TOKEN_BACKEND=sqlite needs the better-sqlite3 package (yarn add better-sqlite3)"
+    );
+  }
+  const dbFile = path.resolve(file);
+  const db = new Database(dbFile);
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS token_store (id INTEGER PRIMARY KEY CHECK (id = 1), data TEXT NOT NULL, updated_at TEXT NOT NULL)"
+  );
+  const select = db.prepare("SELECT data FROM token_store WHERE id = 1");
+  const upsert = db.prepare(
+    "INSERT INTO token_store (id, data, updated_at) VALUES (1, ?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at"
+  );
+  return {
+    name: "sqlite",
+    location: dbFile,
+    load() {
+      const row = select.get();
+      return row ? decrypt(JSON.parse(row.data)) : {};
+    },
+    save(store) {
+      upsert.run(encrypt(store), new Date().toISOString());
+    },
+  };
+}
+
+function createBackend() {
+  switch (TOKEN_BACKEND) {
+    case "file":
+      return fileBackend(TOKEN_STORE);
+    case "sqlite":
+      return sqliteBackend(TOKEN_DB);
+    default:
+      throw new Error(`Unknown TOKEN_BACKEND "${TOKEN_BACKEND}"`);
+  }
+}
+
+let backend = null;
+function getBackend() {
+  if (!backend) backend = createBackend();
+  return backend;
+}
+
+const loadStore = () => getBackend().load();
+const saveStore = (store) => getBackend().save(store);
+
+// Backend details for status views (never the contents)
+function describeStore() {
+  const { name, location } = getBackend();
+  return { backend: name, location, encrypted: Boolean(key) };
+}
+
+module.exports = { loadStore, saveStore, describeStore };
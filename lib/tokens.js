@@ -0,0 +1,227 @@
+// lib/tokens.js
+// The OAuth token lifecycle on top of the token store (see token-store.js).
+// Tokens are kept per connected Etsy shop:
+//   { default_shop_id, shops: { [shop_id]: { shop_id, shop_name, user_id,
+//     connected_at, tokens } } }
+// and are stamped with an absolute expiry so they can be refreshed shortly
+// before they run out, instead of waiting for Etsy to reject them.
+const axios = require("axios");
+const qs = require("qs");
+const { CLIENT_ID, CLIENT_SECRET, REDIRECT_URI, SHOP_ID } = require("./config");
+const { EtsyApiError } = require("./etsy-error");
+const { loadStore, saveStore, describeStore } = require("./token-store");
+
+const TOKEN_URL = "https://openapi.etsy.com/v3/public/oauth/token";
+// refresh this long before the access token actually expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+function readTokens() {
+  return loadStore();
+}
+function saveTokens(obj) {
+  saveStore(obj);
+}
+
+// The store in its per-shop layout. A single-account store from before
+// multi-shop support (tokens under "etsy") is filed under SHOP_ID.
+function readStore() {
+  const store = readTokens();
+  if (store.etsy && !store.shops) {
+    const shop_id = String(SHOP_ID || "legacy");
+    store.shops = {
+      [shop_id]: {
+        shop_id: Number(shop_id) || shop_id,
+        shop_name: null,
+        // Etsy access tokens are prefixed with the owner's user_id
+        user_id: Number(String(store.etsy.access_token).split(".")[0]) || null,
+        connected_at: null,
+        tokens: store.etsy,
+      },
+    };
+    delete store.etsy;
+  }
+  return { shops: {}, ...store };
+}
+
+function getConnection(shop_id) {
+  return readStore().shops[String(shop_id)] || null;
+}
+
+function listConnections() {
+  return Object.values(readStore().shops);
+}
+
+// Shop used when a request names none: the chosen default, SHOP_ID from
+// .env, or the only connected shop
+function defaultShopId() {
+  const store = readStore();
+  if (store.default_shop_id && store.shops[store.default_shop_id])
+    return String(store.default_shop_id);
+  if (SHOP_ID) return String(SHOP_ID);
+  const ids = Object.keys(store.shops);
+  return ids.length === 1 ? ids[0] : null;
+}
+
+function setDefaultShop(shop_id) {
+  const store = readStore();
+  if (!store.shops[String(shop_id)]) return false;
+  store.default_shop_id = String(shop_id);
+  saveTokens(store);
+  return true;
+}
+
+// Store (or replace) the tokens for a shop
+function saveConnection({ shop_id, shop_name, user_id, connected_at, tokens }) {
+  const store = readStore();
+  store.shops[String(shop_id)] = {
+    shop_id,
+    shop_name,
+    user_id,
+    connected_at: connected_at || new Date().toISOString(),
+    tokens,
+  };
+  if (!store.default_shop_id) store.default_shop_id = String(shop_id);
+  saveTokens(store);
+}
+
+function removeConnection(shop_id) {
+  const store = readStore();
+  if (!store.shops[String(shop_id)]) return false;
+  delete store.shops[String(shop_id)];
+  if (store.default_shop_id === String(shop_id)) delete store.default_shop_id;
+  saveTokens(store);
+  return true;
+}
+
+async function requestTokens(params) {
+  const r = await axios.post(
+    TOKEN_URL,
+    qs.stringify({
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+      ...params,
+    }),
+    { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+  );
+  // contains access_token, refresh_token, expires_in, scope, etc.
+  const tokens = r.data;
+  tokens.expires_at = Date.now() + Number(tokens.expires_in || 0) * 1000;
+  return tokens;
+}
+
+// Exchange an authorization code + PKCE verifier for tokens. The caller
+// decides which shop they belong to and saves them with saveConnection.
+function exchangeCode(code, code_verifier) {
+  return requestTokens({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: REDIRECT_URI,
+    code_verifier,
+  });
+}
+
+function notConnected(shop_id) {
+  if (!shop_id)
+    return new EtsyApiError(
+      400,
+      "shop_required",
+      "No shop selected. Pass shop_id or an X-Shop-Id header (see GET /shops)"
+    );
+  return new EtsyApiError(
+    401,
+    "not_authenticated",
+    `Shop ${shop_id} is not connected. Authenticate via /auth/login (or POST /auth/login-url)`
+  );
+}
+
+// Concurrent callers share one in-flight refresh per shop, so a burst of
+// requests with an expired token does not burn the refresh token repeatedly.
+const refreshing = new Map();
+function refreshTokens(shop_id) {
+  const key = String(shop_id);
+  if (!refreshing.has(key)) {
+    refreshing.set(
+      key,
+      doRefresh(shop_id).finally(() => refreshing.delete(key))
+    );
+  }
+  return refreshing.get(key);
+}
+
+async function doRefresh(shop_id) {
+  const connection = shop_id && getConnection(shop_id);
+  const refresh_token = connection?.tokens?.refresh_token;
+  if (!refresh_token) throw notConnected(shop_id);
+  try {
+    const tokens = await requestTokens({
+      grant_type: "refresh_token",
+      refresh_token,
+    });
+    saveConnection({ ...connection, tokens });
+    return tokens;
+  } catch (err) {
+    const cause = EtsyApiError.from(err);
+    console.error(
+      `Token refresh failed for shop ${shop_id}:`,
+      cause.details || cause.message
+    );
+    throw new EtsyApiError(
+      401,
+      "refresh_failed",
+      "Token refresh failed. Re-authenticate via /auth/login (or POST /auth/login-url)",
+      cause.details
+    );
+  }
+}
+
+// A usable access token for the shop, refreshed first if about to expire
+async function getAccessToken(shop_id) {
+  const tokens = shop_id && getConnection(shop_id)?.tokens;
+  if (!tokens?.access_token) throw notConnected(shop_id);
+  if (tokens.expires_at && tokens.expires_at - REFRESH_MARGIN_MS <= Date.now())
+    return (await refreshTokens(shop_id)).access_token;
+  return tokens.access_token;
+}
+
+function hasTokens() {
+  return listConnections().length > 0;
+}
+
+// What is stored, without any secrets: for GET /tokens
+function tokenStatus() {
+  const default_shop_id = defaultShopId();
+  const shops = listConnections().map(
+    ({ shop_id, shop_name, user_id, connected_at, tokens = {} }) => ({
+      shop_id,
+      shop_name,
+      user_id,
+      is_default: String(shop_id) === default_shop_id,
+      scopes: tokens.scope ? String(tokens.scope).split(" ") : [],
+      token_type: tokens.token_type || null,
+      expires_at: tokens.expires_at
+        ? new Date(tokens.expires_at).toISOString()
+        : null,
+      expired: tokens.expires_at ? tokens.expires_at <= Date.now() : null,
+      has_access_token: Boolean(tokens.access_token),
+      has_refresh_token: Boolean(tokens.refresh_token),
+      connected_at,
+    })
+  );
+  return { ...describeStore(), default_shop_id, shops };
+}
+
+module.exports = {
+  readTokens,
+  saveTokens,
+  getConnection,
+  listConnections,
+  defaultShopId,
+  setDefaultShop,
+  saveConnection,
+  removeConnection,
+  exchangeCode,
+  refreshTokens,
+  getAccessToken,
+  hasTokens,
+  tokenStatus,
+};
@@ -0,0 +1,260 @@
+// lib/variations.js
+// Builds Etsy's updateListingInventory payload from a compact description of
+// a listing's variations:
+//   {
+//     variations: { Size: ["S", "M", "L"], Color: ["Red", "Blue"] },
+//     price: 20, quantity: 5, sku: "TEE", readiness_state_id: 123,
+//     overrides: [
+//       { match: { Size: "L" }, price: 22 },
+//       { match: { Size: "S", Color: "Red" }, quantity: 0, sku: "TEE-SR" },
+//     ],
+//   }
+// Every combination of values becomes a product. Overrides apply in order to
+// the combinations they match. Property and value IDs are resolved against
+// the taxonomy node's properties; names Etsy does not know become custom
+// properties. The *_on_property arrays are derived from what actually varies.
+const { getTaxonomyProperties } = require("./reference-data");
+
+// Etsy lists variations on at most two properties; properties that are not
+// in the taxonomy use its two custom property IDs
+const MAX_PROPERTIES = 2;
+const CUSTOM_PROPERTY_IDS = [513, 514];
+const SKU_MAX_LENGTH = 32;
+const OVERRIDE_FIELDS = ["price", "quantity", "sku", "is_enabled"];
+
+const isNumericString = (value) =>
+  typeof value === "string" && value.trim() !== "" && !isNaN(value);
+
+const sameName = (a, b) =>
+  String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// Shape errors in a variations description (used by the listing schema).
+// Returns a message or null.
+function checkVariations(variations) {
+  const names = Object.keys(variations);
+  if (!names.length) return "must name at least one property";
+  if (names.length > MAX_PROPERTIES)
+    return `may vary on at most ${MAX_PROPERTIES} properties`;
+  for (const name of names) {
+    const values = variations[name];
+    if (!Array.isArray(values) || !values.length)
+      return `${name} must be a non-empty array of values`;
+    if (values.some((v) => typeof v !== "string" || !v.trim()))
+      return `${name} values must be non-empty strings`;
+    if (new Set(values.map((v) => v.trim().toLowerCase())).size < values.length)
+      return `${name} has duplicate values`;
+  }
+  return null;
+}
+
+// Every combination of values, as [{ [name]: value }]
+function combinations(variations) {
+  return Object.entries(variations).reduce(
+    (combos, [name, values]) =>
+      combos.flatMap((combo) =>
+        values.map((value) => ({ ...combo, [name]: value }))
+      ),
+    [{}]
+  );
+}
+
+// Map each variation name to a taxonomy property (or a custom one)
+function resolveProperties(names, taxonomyProperties, errors) {
+  let custom = 0;
+  return names.map((name) => {
+    const property = taxonomyProperties.find(
+      (p) => sameName(p.name, name) || sameName(p.display_name || "", name)
+    );
+    if (!property) {
+      return {
+        name,
+        property_id: CUSTOM_PROPERTY_IDS[custom++],
+        property_name: name,
+        possible_values: [],
+      };
+    }
+    if (property.supports_variations === false)
+      errors.push({
+        field: `variations.${name}`,
+        code: "not_a_variation",
+        message: `${property.name} cannot be used for variations in this category`,
+      });
+    return {
+      name,
+      property_id: property.property_id,
+      property_name: property.name,
+      possible_values: property.possible_values || [],
+    };
+  });
+}
+
+function propertyValue(property, value) {
+  const known = property.possible_values.find((v) => sameName(v.name, value));
+  const propertyValue = {
+    property_id: property.property_id,
+    property_name: property.property_name,
+    value_ids: known ? [known.value_id] : [],
+    values: [known ? known.name : value.trim()],
+  };
+  if (known?.scale_id) propertyValue.scale_id = known.scale_id;
+  return propertyValue;
+}
+
+const matches = (combo, match) =>
+  Object.entries(match).every(([name, value]) =>
+    Object.keys(combo).some(
+      (key) => sameName(key, name) && sameName(combo[key], value)
+    )
+  );
+
+function defaultSku(base, combo) {
+  if (base === undefined || base === null || base === "") return undefined;
+  const suffix = Object.values(combo)
+    .map((value) => value.trim().replace(/\s+/g, "_").toUpperCase())
+    .join("-");
+  return `${base}-${suffix}`;
+}
+
+// The smallest set of properties a value depends on: [] when it is the same
+// for every product, otherwise the one property (or both) that explains it
+function dependsOn(products, names, valueOf) {
+  const candidates = [[], ...names.map((name) => [name]), names];
+  return (
+    candidates.find((subset) => {
+      const seen = new Map();
+      return products.every(({ combo, offering, sku }) => {
+        const key = subset.map((name) => combo[name]).join("\u0000");
+        const value = JSON.stringify(valueOf({ offering, sku }));
+        if (!seen.has(key)) seen.set(key, value);
+        return seen.get(key) === value;
+      });
+    }) || names
+  );
+}
+
+// Build the inventory payload for a description like the one at the top of
+// this file. `taxonomy_id` picks the property definitions. Resolves with
+// { payload, products, errors }; when errors is non-empty payload is null.
+async function buildVariationInventory(input, taxonomy_id) {
+  const errors = [];
+  const { variations, overrides = [], readiness_state_id } = input;
+  const shapeError =
+    variations && typeof variations === "object" && !Array.isArray(variations)
+      ? checkVariations(variations)
+      : "must be an object of property name to values";
+  if (shapeError) {
+    errors.push({ field: "variations", code: "invalid", message: shapeError });
+    return { payload: null, products: [], errors };
+  }
+  if (!Array.isArray(overrides)) {
+    errors.push({
+      field: "overrides",
+      code: "type",
+      message: "overrides must be an array",
+    });
+    return { payload: null, products: [], errors };
+  }
+
+  const names = Object.keys(variations);
+  const taxonomyProperties = taxonomy_id
+    ? await getTaxonomyProperties(taxonomy_id)
+    : [];
+  const properties = resolveProperties(names, taxonomyProperties, errors);
+
+  const products = combinations(variations).map((combo) => {
+    const product = {
+      combo,
+      sku: defaultSku(input.sku, combo),
+      offering: {
+        price: input.price,
+        quantity: input.quantity,
+        is_enabled: true,
+      },
+    };
+    overrides.forEach((override) => {
+      if (!override?.match || !matches(combo, override.match)) return;
+      OVERRIDE_FIELDS.forEach((field) => {
+        if (override[field] === undefined) return;
+        if (field === "sku") product.sku = override.sku;
+        else product.offering[field] = override[field];
+      });
+    });
+    return product;
+  });
+
+  overrides.forEach((override, i) => {
+    if (!override?.match || typeof override.match !== "object")
+      errors.push({
+        field: `overrides[${i}].match`,
+        code: "required",
+        message: "each override needs a match object",
+      });
+    else if (!products.some((p) => matches(p.combo, override.match)))
+      errors.push({
+        field: `overrides[${i}].match`,
+        code: "no_match",
+        message: `matches no combination of ${names.join(", ")}`,
+      });
+  });
+  // price and quantity are checked by the listing schema's own rules, so a
+  // numeric string passes here exactly when it passes POST /listings
+  // (required here: the listing schema requires this module)
+  const { listingSchema, validate } = require("./listing-schema");
+  const offeringSchema = {
+    price: { ...listingSchema.price, required: true },
+    quantity: { ...listingSchema.quantity, required: true, min: 0 },
+  };
+  products.forEach(({ combo, sku, offering }) => {
+    const label = Object.values(combo).join("/");
+    validate(offeringSchema, offering).forEach((error) =>
+      errors.push({ ...error, message: `${label}: ${error.message}` })
+    );
+    ["price", "quantity"].forEach((field) => {
+      if (isNumericString(offering[field]))
+        offering[field] = Number(offering[field]);
+    });
+    if (sku !== undefined && String(sku).length > SKU_MAX_LENGTH)
+      errors.push({
+        field: "sku",
+        code: "max_length",
+        message: `${label} SKU "${sku}" is longer than ${SKU_MAX_LENGTH} characters`,
+      });
+  });
+  const skus = products.map((p) => p.sku).filter((sku) => sku !== undefined);
+  if (new Set(skus).size < skus.length)
+    errors.push({
+      field: "sku",
+      code: "duplicate",
+      message: "every combination needs its own SKU",
+    });
+  if (errors.length) return { payload: null, products: [], errors };
+
+  const idsOf = (subset) =>
+    properties.filter((p) => subset.includes(p.name)).map((p) => p.property_id);
+  const payload = {
+    products: products.map(({ combo, sku, offering }) => ({
+      sku: sku === undefined ? undefined : String(sku),
+      property_values: properties.map((p) => propertyValue(p, combo[p.name])),
+      offerings: [{ ...offering, readiness_state_id }],
+    })),
+    price_on_property: idsOf(
+      dependsOn(products, names, ({ offering }) => offering.price)
+    ),
+    quantity_on_property: idsOf(
+      dependsOn(products, names, ({ offering }) => offering.quantity)
+    ),
+    sku_on_property: idsOf(dependsOn(products, names, ({ sku }) => sku)),
+    readiness_state_on_property: [],
+  };
+  return {
+    payload,
+    products: products.map(({ combo, sku, offering }) => ({
+      ...combo,
+      sku,
+      ...offering,
+    })),
+    errors,
+  };
+}
+
+module.exports = { checkVariations, buildVariationInventory };
@@ -0,0 +1,181 @@
+// lib/videos.js
+// Listing videos: a video (local path, URL or uploaded file) is checked
+// against Etsy's limits before upload — MP4 or MOV container, 5 to 15
+// seconds long, at most 100MB. Container and duration are read from the
+// ISO base media file boxes (ftyp, moov/mvhd), so no ffmpeg is needed.
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const FormData = require("form-data");
+const etsy = require("./etsy-client");
+const { EtsyApiError } = require("./etsy-error");
+const { UPLOAD_DIR } = require("./config");
+
+const MAX_BYTES = 100 * 1024 * 1024;
+const MIN_DURATION_S = 5;
+const MAX_DURATION_S = 15;
+// QuickTime files say "qt  "; everything else ISO-based is treated as MP4
+const MOV_BRANDS = ["qt  "];
+
+const uploadDir = path.resolve(UPLOAD_DIR);
+
+const isUrl = (str) => /^https?:\/\//i.test(str);
+
+const invalidVideo = (code, message) => new EtsyApiError(422, code, message);
+
+async function loadSource(source) {
+  if (typeof source !== "string" || !source)
+    throw invalidVideo("invalid_video", "video must be a path or URL");
+  if (isUrl(source)) {
+    try {
+      const response = await axios.get(source, {
+        responseType: "arraybuffer",
+        maxContentLength: MAX_BYTES,
+        timeout: 120 * 1000,
+      });
+      return Buffer.from(response.data);
+    } catch (err) {
+      throw invalidVideo(
+        "video_download_failed",
+        `Could not download ${source}: ${err.message}`
+      );
+    }
+  }
+  if (!fs.existsSync(source))
+    throw invalidVideo("video_not_found", `No such file: ${source}`);
+  if (fs.statSync(source).size > MAX_BYTES)
+    throw invalidVideo("video_too_large", `${source} is larger than 100MB`);
+  return fs.readFileSync(source);
+}
+
+// Boxes ({ type, start, end }) between start and end of the buffer
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) break;
+    boxes.push({ type, start: offset + header, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+}
+
+// { container, duration } of an MP4/MOV buffer; throws when it is neither
+function inspectVideo(buffer, label) {
+  const boxes = readBoxes(buffer);
+  const ftyp = boxes.find((box) => box.type === "ftyp");
+  const moov = boxes.find((box) => box.type === "moov");
+  if (!ftyp && !moov)
+    throw invalidVideo(
+      "unsupported_video_format",
+      `${label} is not an MP4 or MOV video`
+    );
+  const brand = ftyp
+    ? buffer.toString("latin1", ftyp.start, ftyp.start + 4)
+    : "qt  ";
+  const container = MOV_BRANDS.includes(brand) ? "mov" : "mp4";
+
+  const mvhd =
+    moov &&
+    readBoxes(buffer, moov.start, moov.end).find((box) => box.type === "mvhd");
+  if (!mvhd)
+    throw invalidVideo("invalid_video", `${label} has no movie header`);
+  const version = buffer.readUInt8(mvhd.start);
+  const timescale =
+    version === 1
+      ? buffer.readUInt32BE(mvhd.start + 20)
+      : buffer.readUInt32BE(mvhd.start + 12);
+  const units =
+    version === 1
+      ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+      : buffer.readUInt32BE(mvhd.start + 16);
+  if (!timescale)
+    throw invalidVideo("invalid_video", `${label} has no valid duration`);
+  return { container, duration: Math.round((units / timescale) * 100) / 100 };
+}
+
+// Load and validate a video. Returns { source, buffer, container, duration,
+// bytes }; throws EtsyApiError (422) when Etsy would not take it.
+async function prepareVideo(source, label = source) {
+  const buffer = await loadSource(source);
+  if (buffer.length > MAX_BYTES)
+    throw invalidVideo("video_too_large", `${label} is larger than 100MB`);
+  const { container, duration } = inspectVideo(buffer, label);
+  if (duration < MIN_DURATION_S || duration > MAX_DURATION_S)
+    throw invalidVideo(
+      "invalid_video_duration",
+      `${label} is ${duration}s long; Etsy takes ${MIN_DURATION_S} to ${MAX_DURATION_S} seconds`
+    );
+  return { source: label, buffer, container, duration, bytes: buffer.length };
+}
+
+function uploadPreparedVideo(shop_id, listing_id, video) {
+  const name = `${path.parse(video.source).name || "video"}.${video.container}`;
+  return etsy.post(
+    `/shops/${shop_id}/listings/${listing_id}/videos`,
+    () => {
+      const form = new FormData();
+      form.append("video", video.buffer, { filename: name });
+      form.append("name", name);
+      return form;
+    },
+    { shop_id }
+  );
+}
+
+function listVideos(shop_id, listing_id) {
+  return etsy.get(`/listings/${listing_id}/videos`, { shop_id });
+}
+
+function deleteVideo(shop_id, listing_id, video_id) {
+  return etsy.delete(
+    `/shops/${shop_id}/listings/${listing_id}/videos/${video_id}`,
+    { shop_id }
+  );
+}
+
+// Validate a video, then make it the listing's only video (a listing holds
+// one). The existing video is removed only once the new one has passed
+// validation. Resolves with Etsy's video object plus duration and size.
+async function replaceVideo(shop_id, listing_id, source, label) {
+  const video = await prepareVideo(source, label);
+  const current = (await listVideos(shop_id, listing_id)).results || [];
+  for (const { video_id } of current)
+    await deleteVideo(shop_id, listing_id, video_id);
+  const result = await uploadPreparedVideo(shop_id, listing_id, video);
+  return {
+    ...result,
+    container: video.container,
+    duration: video.duration,
+    bytes: video.bytes,
+  };
+}
+
+// Uploaded files are written to UPLOAD_DIR by multer; remove one once it has
+// been used (never touches files outside that directory). Only pass the path
+// multer gave the current request (req.file.path, or the one journaled on its
+// job), never a path from a request body: that could name another request's
+// pending upload.
+function discardUpload(file) {
+  if (!file || path.dirname(path.resolve(file)) !== uploadDir) return;
+  fs.rm(file, { force: true }, () => {});
+}
+
+module.exports = {
+  uploadDir,
+  prepareVideo,
+  listVideos,
+  deleteVideo,
+  replaceVideo,
+  discardUpload,
+};
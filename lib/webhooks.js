@@ -0,0 +1,267 @@
+// lib/webhooks.js
+// Outbound webhooks: registered endpoints receive shop events (see
+// lib/poller.js) as JSON POSTs signed with HMAC-SHA256. Every delivery is
+// queued in a JSON file (WEBHOOK_STORE, written via write-then-rename, mode
+// 0600 since it holds the signing secrets) and retried with exponential
+// backoff until the endpoint answers 2xx or MAX_ATTEMPTS is reached.
+//
+// Requests carry:
+//   X-Webhook-Id         delivery ID (stable across retries)
+//   X-Webhook-Event      event type, e.g. order.created
+//   X-Webhook-Timestamp  unix seconds when the attempt was signed
+//   X-Webhook-Signature  sha256=<hex HMAC of "<timestamp>.<body>" with the
+//                        webhook's secret>
+const axios = require("axios");
+const crypto = require("crypto");
+const { WEBHOOK_STORE } = require("./config");
+const { jsonStore } = require("./json-store");
+
+const EVENT_TYPES = [
+  "order.created",
+  "listing.state_changed",
+  "stock.depleted",
+];
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const DELIVERY_INTERVAL_MS = 15 * 1000;
+// finished deliveries kept for GET /webhooks/deliveries
+const KEEP_FINISHED = 200;
+
+const { load, persist } = jsonStore(WEBHOOK_STORE, {
+  label: "webhook store",
+  initial: () => ({ webhooks: {}, deliveries: [] }),
+  mode: 0o600,
+});
+// the delivery pass in progress, and the one queued to run after it
+let delivering = null;
+let nextDelivery = null;
+
+// A webhook as shown by the API: the secret never leaves the server after
+// the webhook is created
+const redact = ({ secret, ...webhook }) => ({
+  ...webhook,
+  has_secret: Boolean(secret),
+});
+
+function listWebhooks() {
+  return Object.values(load().webhooks).map(redact);
+}
+
+// Field-level errors for a webhook body
+function validateWebhook(body) {
+  const errors = [];
+  const push = (field, code, message) => errors.push({ field, code, message });
+  const input = body && typeof body === "object" ? body : {};
+  let url = null;
+  try {
+    url = new URL(input.url);
+  } catch (e) {
+    // reported below
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol))
+    push("url", "invalid", "url must be an http(s) URL");
+  if (input.events !== undefined) {
+    if (!Array.isArray(input.events) || !input.events.length)
+      push("events", "type", "events must be a non-empty array");
+    else {
+      const unknown = input.events.filter(
+        (e) => e !== "*" && !EVENT_TYPES.includes(e)
+      );
+      if (unknown.length)
+        push(
+          "events",
+          "enum",
+          `Unknown event(s): ${unknown.join(", ")}; one of: ${EVENT_TYPES.join(
+            ", "
+          )} or *`
+        );
+    }
+  }
+  if (
+    input.secret !== undefined &&
+    (typeof input.secret !== "string" || input.secret.length < 16)
+  )
+    push("secret", "invalid", "secret must be a string of 16+ characters");
+  if (input.shop_id !== undefined && input.shop_id !== null && !input.shop_id)
+    push("shop_id", "invalid", "shop_id must be a shop ID or null");
+  return errors;
+}
+
+// Register a webhook. Without a secret one is generated. Returns the
+// webhook including its secret (the only time it is shown).
+function createWebhook({ url, events = ["*"], secret, shop_id = null }) {
+  const webhook = {
+    id: crypto.randomUUID(),
+    url,
+    events,
+    shop_id: shop_id === null ? null : String(shop_id),
+    secret: secret || crypto.randomBytes(24).toString("hex"),
+    created_at: new Date().toISOString(),
+  };
+  load().webhooks[webhook.id] = webhook;
+  persist();
+  return webhook;
+}
+
+// Remove a webhook and its pending deliveries
+function deleteWebhook(id) {
+  const store = load();
+  const { webhooks } = store;
+  if (!webhooks[id]) return false;
+  delete webhooks[id];
+  store.deliveries = store.deliveries.filter((d) => d.webhook_id !== id);
+  persist();
+  return true;
+}
+
+const wants = (webhook, event) =>
+  (webhook.events.includes("*") || webhook.events.includes(event.type)) &&
+  (!webhook.shop_id || webhook.shop_id === String(event.shop_id));
+
+// Whether any webhook takes events of the shop; the poller skips the others
+function hasSubscribers(shop_id) {
+  return Object.values(load().webhooks).some(
+    (webhook) => !webhook.shop_id || webhook.shop_id === String(shop_id)
+  );
+}
+
+// Queue an event ({ id, type, shop_id, occurred_at, data }) for every
+// webhook subscribed to it. Returns the number of deliveries queued.
+function dispatch(event, only) {
+  const targets = Object.values(load().webhooks).filter((webhook) =>
+    only ? webhook.id === only : wants(webhook, event)
+  );
+  targets.forEach((webhook) =>
+    load().deliveries.push({
+      id: crypto.randomUUID(),
+      webhook_id: webhook.id,
+      event,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: Date.now(),
+      last_error: null,
+    })
+  );
+  if (targets.length) persist();
+  return targets.length;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+async function attempt(delivery, webhook) {
+  const body = JSON.stringify(delivery.event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  await axios.post(webhook.url, body, {
+    timeout: REQUEST_TIMEOUT_MS,
+    maxRedirects: 0,
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "etsy-listing-backend-webhooks",
+      "X-Webhook-Id": delivery.id,
+      "X-Webhook-Event": delivery.event.type,
+      "X-Webhook-Timestamp": String(timestamp),
+      "X-Webhook-Signature": `sha256=${sign(webhook.secret, timestamp, body)}`,
+    },
+  });
+}
+
+// Send every delivery that is due, one at a time. Failures are rescheduled
+// with backoff (30s, 1m, 2m, ... capped at 6h) until MAX_ATTEMPTS. A call
+// made during a pass waits for it and then for one more pass, so a delivery
+// queued meanwhile has been tried once the returned promise resolves.
+function deliverDue() {
+  if (!delivering) {
+    delivering = deliveryPass().finally(() => {
+      delivering = null;
+    });
+    return delivering;
+  }
+  if (!nextDelivery) {
+    const next = () => {
+      nextDelivery = null;
+      return deliverDue();
+    };
+    nextDelivery = delivering.then(next, next);
+  }
+  return nextDelivery;
+}
+
+async function deliveryPass() {
+  const due = load().deliveries.filter(
+    (d) => d.status === "pending" && d.next_attempt_at <= Date.now()
+  );
+  for (const delivery of due) {
+    const webhook = load().webhooks[delivery.webhook_id];
+    if (!webhook) continue;
+    delivery.attempts += 1;
+    try {
+      await attempt(delivery, webhook);
+      delivery.status = "delivered";
+      delivery.last_error = null;
+    } catch (err) {
+      delivery.last_error = err.response
+        ? `HTTP ${err.response.status}`
+        : err.message;
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = "failed";
+        console.error(
+          `Webhook delivery ${delivery.id} to ${webhook.url} failed for good: ${delivery.last_error}`
+        );
+      } else {
+        delivery.next_attempt_at =
+          Date.now() +
+          Math.min(BASE_RETRY_MS * 2 ** (delivery.attempts - 1), MAX_RETRY_MS);
+      }
+    }
+    delivery.finished_at =
+      delivery.status === "pending" ? null : new Date().toISOString();
+    prune();
+    persist();
+  }
+}
+
+// Keep pending deliveries and the most recent finished ones
+function prune() {
+  const store = load();
+  const finished = store.deliveries.filter((d) => d.status !== "pending");
+  const drop = new Set(
+    finished.slice(0, Math.max(0, finished.length - KEEP_FINISHED))
+  );
+  if (drop.size)
+    store.deliveries = store.deliveries.filter((d) => !drop.has(d));
+}
+
+// Deliveries, newest first; optionally only one status
+function listDeliveries(status) {
+  return load()
+    .deliveries.filter((d) => !status || d.status === status)
+    .slice()
+    .reverse();
+}
+
+// Send pending deliveries periodically; the timer does not keep the process
+// alive
+function startDelivering() {
+  deliverDue();
+  setInterval(deliverDue, DELIVERY_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  EVENT_TYPES,
+  listWebhooks,
+  validateWebhook,
+  createWebhook,
+  deleteWebhook,
+  hasSubscribers,
+  dispatch,
+  deliverDue,
+  listDeliveries,
+  startDelivering,
+};
@@ -1,46 +1,212 @@
 // server.js
-require("dotenv").config();
 const express = require("express");
-const axios = require("axios");
-const qs = require("qs");
 const bodyParser = require("body-parser");
-const fs = require("fs");
-const path = require("path");
+const multer = require("multer");
 const crypto = require("crypto");
-const FormData = require("form-data");
-
 const {
   CLIENT_ID,
   CLIENT_SECRET,
   REDIRECT_URI,
-  BASE_URL = "http://localhost:3000",
-  SHOP_ID,
-  TOKEN_STORE = "./tokens.json",
-  PORT = 3000,
-} = process.env;
-
-if (!CLIENT_ID || !CLIENT_SECRET || !REDIRECT_URI || !SHOP_ID) {
+  BASE_URL,
+  TOKEN_ENCRYPTION_KEY,
+  OAUTH_SCOPES,
+  RETURN_TO_ORIGINS,
+  PKCE_TTL_MINUTES,
+  PORT,
+} = require("./lib/config");
+const etsy = require("./lib/etsy-client");
+const { authEnabled, requireRole } = require("./lib/auth");
+const { readAuditLog } = require("./lib/audit-log");
+const { putState, takeState, startSweeping } = require("./lib/pkce-store");
+const { buildVariationInventory } = require("./lib/variations");
+const {
+  indexListing,
+  buildSkuIndex,
+  isIndexBuilt,
+  findSku,
+  indexSummary,
+} = require("./lib/sku-index");
+const { syncInventory } = require("./lib/inventory-sync");
+const {
+  attachImage,
+  attachedImageHashes,
+  listImages,
+  updateImage,
+  deleteImage,
+} = require("./lib/images");
+const {
+  uploadDir,
+  prepareVideo,
+  listVideos,
+  deleteVideo,
+  replaceVideo,
+  discardUpload,
+} = require("./lib/videos");
+const { EtsyApiError, sendEtsyError } = require("./lib/etsy-error");
+const {
+  getConnection,
+  listConnections,
+  defaultShopId,
+  setDefaultShop,
+  saveConnection,
+  removeConnection,
+  exchangeCode,
+  refreshTokens,
+  getAccessToken,
+  hasTokens,
+  tokenStatus,
+} = require("./lib/tokens");
+const {
+  previewListing,
+  buildUpdatePayload,
+  getListing,
+  updateListing,
+  deleteListing,
+  publishPrerequisites,
+} = require("./lib/listings");
+const { validateListingUpdate } = require("./lib/listing-schema");
+const { buildCloneBody } = require("./lib/listing-clone");
+const {
+  parseOrderFilters,
+  listReceipts,
+  getReceipt,
+  openReceipts,
+  validateShipment,
+  createShipment,
+} = require("./lib/orders");
+const {
+  FORMATS: DOCUMENT_FORMATS,
+  renderPackingSlips,
+  renderPickList,
+} = require("./lib/packing-docs");
+const { parseExportOptions, writeExport } = require("./lib/listing-export");
+const { TTLS, maxAge, invalidate, cacheStatus } = require("./lib/cache");
+const {
+  EVENT_TYPES,
+  listWebhooks,
+  validateWebhook,
+  createWebhook,
+  deleteWebhook,
+  dispatch,
+  deliverDue,
+  listDeliveries,
+  startDelivering,
+} = require("./lib/webhooks");
+const {
+  pollAll,
+  listEvents,
+  pollerStatus,
+  startPolling,
+} = require("./lib/poller");
+const {
+  shopResourceEntry,
+  taxonomyEntry,
+  taxonomyPropertiesEntry,
+  getShippingProfiles,
+  getReturnPolicies,
+  getShopSections,
+} = require("./lib/reference-data");
+const {
+  validateShippingProfile,
+  validateDestination,
+  validateUpgrade,
+  getShippingProfile,
+  createShippingProfile,
+  updateShippingProfile,
+  deleteShippingProfile,
+  createDestination,
+  updateDestination,
+  deleteDestination,
+  createUpgrade,
+  updateUpgrade,
+  deleteUpgrade,
+} = require("./lib/shipping-profiles");
+const {
+  validateReturnPolicy,
+  getReturnPolicy,
+  createReturnPolicy,
+  updateReturnPolicy,
+  deleteReturnPolicy,
+} = require("./lib/return-policies");
+const {
+  validateShopSection,
+  getShopSection,
+  createShopSection,
+  updateShopSection,
+  deleteShopSection,
+} = require("./lib/shop-sections");
+const { validateMove, moveListings } = require("./lib/listing-moves");
+const {
+  searchTaxonomy,
+  getTaxonomyNode,
+  taxonomyRoots,
+} = require("./lib/taxonomy");
+const {
+  listTemplates,
+  getTemplate,
+  validateTemplate,
+  saveTemplate,
+  deleteTemplate,
+  validateTemplatedListing,
+} = require("./lib/templates");
+const { getJob, listJobs, saveJob } = require("./lib/job-store");
+const {
+  createListingJob,
+  runListingJob,
+  listingJobResult,
+  unfinishedListingJobs,
+} = require("./lib/listing-jobs");
+const {
+  parseImportFile,
+  createImportJob,
+  runImportJob,
+  isImportJobRunning,
+  retryImportJob,
+  getImportJob,
+  unfinishedImportJobs,
+  serializeImportJob,
+} = require("./lib/import-jobs");
+
+if (!CLIENT_ID || !CLIENT_SECRET || !REDIRECT_URI) {
+  console.warn(
+    "Warning: Make sure CLIENT_ID, CLIENT_SECRET and REDIRECT_URI are set in .env"
+  );
+}
+if (!authEnabled) {
+  console.warn(
+    "Warning: API_KEYS and JWT_SECRET are not set; every route is open to anyone who can reach this port"
+  );
+}
+if (!TOKEN_ENCRYPTION_KEY) {
   console.warn(
-    "Warning: Make sure CLIENT_ID, CLIENT_SECRET, REDIRECT_URI and SHOP_ID are set in .env"
+    "Warning: TOKEN_ENCRYPTION_KEY is not set; tokens are stored unencrypted"
   );
 }
 
 const app = express();
 app.use(bodyParser.json());
 
-// simple file-based token store (demo only)
-const tokenFile = path.resolve(TOKEN_STORE);
-function readTokens() {
-  if (!fs.existsSync(tokenFile)) return {};
-  try {
-    return JSON.parse(fs.readFileSync(tokenFile, "utf8"));
-  } catch (e) {
-    return {};
-  }
-}
-function saveTokens(obj) {
-  fs.writeFileSync(tokenFile, JSON.stringify(obj, null, 2), "utf8");
-}
+// The shop a request acts on: ?shop_id= or an X-Shop-Id header, otherwise the
+// default shop (see GET /shops). SHOP_ID in .env only seeds the default.
+app.use((req, res, next) => {
+  req.shop_id = req.query.shop_id || req.get("x-shop-id") || defaultShopId();
+  next();
+});
+
+// multipart uploads are kept in memory; bulk import files are small text
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024, files: 10 },
+});
+// videos are written to UPLOAD_DIR so listing jobs can pick them up by path
+const videoUpload = multer({
+  dest: uploadDir,
+  limits: { fileSize: 100 * 1024 * 1024, files: 1 },
+});
 
 // PKCE helper functions
 function base64URLEncode(buffer) {
@@ -57,678 +223,1263 @@ function generateCodeChallenge(verifier) {
   return base64URLEncode(crypto.createHash("sha256").update(verifier).digest());
 }
 
-// In-memory PKCE store for demo (state -> code_verifier). In prod use sessions/DB.
-const pkceStore = {};
+// Every scope Etsy offers. OAUTH_SCOPES narrows the default request, and
+// /auth/login?scopes=a,b narrows it per login.
+const ETSY_SCOPES = [
+  "address_r",
+  "address_w",
+  "billing_r",
+  "cart_r",
+  "cart_w",
+  "email_r",
+  "favorites_r",
+  "favorites_w",
+  "feedback_r",
+  "listings_d",
+  "listings_r",
+  "listings_w",
+  "profile_r",
+  "profile_w",
+  "recommend_r",
+  "recommend_w",
+  "shops_r",
+  "shops_w",
+  "transactions_r",
+  "transactions_w",
+];
+
+function parseScopes(value) {
+  return String(value || "")
+    .split(/[\s,]+/)
+    .filter(Boolean);
+}
+
+const defaultScopes = OAUTH_SCOPES ? parseScopes(OAUTH_SCOPES) : ETSY_SCOPES;
+
+// Where the callback may redirect after login: paths on this server,
+// BASE_URL itself, or an origin listed in RETURN_TO_ORIGINS. Anything else
+// would make /auth/callback an open redirect.
+const returnToOrigins = [
+  new URL(BASE_URL).origin,
+  ...String(RETURN_TO_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean),
+];
+function isAllowedReturnTo(value) {
+  if (/^\/(?!\/)/.test(value)) return true;
+  try {
+    return returnToOrigins.includes(new URL(value).origin);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Append query params to a return_to URL (absolute or a path)
+function withParams(returnTo, params) {
+  const url = new URL(returnTo, BASE_URL);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+  return /^\//.test(returnTo) ? `${url.pathname}${url.search}` : url.href;
+}
 
 // ---------- Routes ----------
 
-// 1) Start OAuth login (generate PKCE)
-app.get("/auth/login", (req, res) => {
+// Create PKCE state for a login and build the Etsy authorize URL. Options:
+//   scopes    - comma/space separated subset of ETSY_SCOPES
+//   return_to - where to send the browser after a successful login
+// Returns { url, state } or { error } (with `allowed` details).
+function startLogin({ scopes: requested, return_to } = {}) {
+  const scopes = requested ? parseScopes(requested) : defaultScopes;
+  const unknown = scopes.filter((scope) => !ETSY_SCOPES.includes(scope));
+  if (!scopes.length || unknown.length)
+    return {
+      error: `Unknown scope(s): ${unknown.join(", ") || "none requested"}`,
+      allowed: ETSY_SCOPES,
+    };
+  if (return_to && !isAllowedReturnTo(return_to))
+    return {
+      error: "return_to must be a path or an allowed origin",
+      allowed_origins: returnToOrigins,
+    };
+
   const code_verifier = generateCodeVerifier();
   const code_challenge = generateCodeChallenge(code_verifier);
-  const state = crypto.randomBytes(8).toString("hex");
+  const state = crypto.randomBytes(16).toString("hex");
 
-  // store verifier by state
-  pkceStore[state] = { code_verifier, createdAt: Date.now() };
+  // store verifier by state until the callback (or the TTL) consumes it
+  putState(state, { code_verifier, scopes, return_to: return_to || null });
 
   const params = new URLSearchParams({
     response_type: "code",
     client_id: CLIENT_ID,
     redirect_uri: REDIRECT_URI,
-    scope: [
-      "address_r",
-      "address_w",
-      "billing_r",
-      "cart_r",
-      "cart_w",
-      "email_r",
-      "favorites_r",
-      "favorites_w",
-      "feedback_r",
-      "listings_d",
-      "listings_r",
-      "listings_w",
-      "profile_r",
-      "profile_w",
-      "recommend_r",
-      "recommend_w",
-      "shops_r",
-      "shops_w",
-      "transactions_r",
-      "transactions_w",
-    ].join(" "), // request all available scopes
+    scope: scopes.join(" "),
     state,
     code_challenge,
     code_challenge_method: "S256",
   });
+  return {
+    url: `https://www.etsy.com/oauth/connect?${params.toString()}`,
+    state,
+  };
+}
 
-  const url = `https://www.etsy.com/oauth/connect?${params.toString()}`;
+// 1) Start OAuth login: redirects the browser to Etsy. Takes ?scopes= and
+// ?return_to= (see startLogin). With API auth on a browser cannot call this;
+// use POST /auth/login-url instead.
+app.get("/auth/login", requireRole("admin"), (req, res) => {
+  const { url, error, ...details } = startLogin(req.query);
+  if (error) return res.status(400).json({ error, ...details });
   res.redirect(url);
 });
 
-// 2) Callback: exchange code + code_verifier for tokens
+// The same for API clients: returns { url, expires_in } for an admin to
+// open in a browser. The URL is single-use and carries no credentials.
+app.post("/auth/login-url", requireRole("admin"), (req, res) => {
+  const { url, error, state, ...details } = startLogin({
+    ...req.query,
+    ...req.body,
+  });
+  if (error) return res.status(400).json({ error, ...details });
+  return res.json({ url, expires_in: Number(PKCE_TTL_MINUTES) * 60 });
+});
+
+// 2) Callback: exchange code + code_verifier for tokens, then redirect to
+// the login's return_to (with shop_id, or error on failure) or answer JSON
 app.get("/auth/callback", async (req, res) => {
   const { code, state, error, error_description } = req.query;
-  if (error) {
-    return res
-      .status(400)
-      .send(`Auth error: ${error} - ${error_description || ""}`);
-  }
+  const entry = state ? takeState(state) : null;
+  const fail = (status, message) =>
+    entry?.return_to
+      ? res.redirect(withParams(entry.return_to, { error: message }))
+      : res.status(status).send(message);
+
+  if (error)
+    return fail(400, `Auth error: ${error} - ${error_description || ""}`);
   if (!code || !state) return res.status(400).send("Missing code or state");
-
-  const entry = pkceStore[state];
   if (!entry)
     return res
       .status(400)
-      .send("Missing PKCE verifier for this state. Try logging in again.");
+      .send(
+        "Unknown or expired PKCE state. Try logging in again via /auth/login."
+      );
 
   const { code_verifier } = entry;
-  // optional: clean old pkceStore entries
-  delete pkceStore[state];
 
   try {
-    const tokenResp = await axios.post(
-      "https://openapi.etsy.com/v3/public/oauth/token",
-      qs.stringify({
-        grant_type: "authorization_code",
-        client_id: CLIENT_ID,
-        client_secret: CLIENT_SECRET,
-        code,
-        redirect_uri: REDIRECT_URI,
-        code_verifier,
-      }),
-      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
+    const tokens = await exchangeCode(code, code_verifier);
+
+    // find out which shop authorized us; tokens are stored per shop
+    const { access_token: token } = tokens;
+    const me = await etsy.get("/users/me", { token });
+    const shop = await etsy.get(`/users/${me.user_id}/shops`, { token });
+    if (!shop?.shop_id)
+      return fail(
+        400,
+        "This Etsy account has no shop. Open a shop and try again."
+      );
+
+    saveConnection({
+      shop_id: shop.shop_id,
+      shop_name: shop.shop_name,
+      user_id: me.user_id,
+      tokens,
+    });
 
-    const tokens = tokenResp.data; // contains access_token, refresh_token, expires_in, scope, etc.
-    // Save tokens associated to 'etsy' key (demo). In prod, associate with user account.
-    const store = readTokens();
-    store.etsy = tokens;
-    saveTokens(store);
+    if (entry.return_to)
+      return res.redirect(
+        withParams(entry.return_to, { shop_id: String(shop.shop_id) })
+      );
 
     // return a friendly JSON (avoid sending raw access token to browser in prod)
     return res.json({
       message: "OAuth success — tokens saved (demo).",
+      shop_id: shop.shop_id,
+      shop_name: shop.shop_name,
+      is_default: defaultShopId() === String(shop.shop_id),
       scope: tokens.scope,
       expires_in: tokens.expires_in,
     });
   } catch (err) {
-    console.error("Token exchange error:", err.response?.data || err.message);
-    return res
-      .status(500)
-      .send("Token exchange failed. Check server logs for details.");
+    console.error(
+      "Token exchange error:",
+      err.details || err.response?.data || err.message
+    );
+    return fail(500, "Token exchange failed. Check server logs for details.");
   }
 });
 
-// 3) Refresh token endpoint (use when access_token expired)
-app.post("/token/refresh", async (req, res) => {
-  const store = readTokens();
-  const refresh_token = store?.etsy?.refresh_token;
-  if (!refresh_token)
-    return res.status(400).send("No refresh token stored. Re-authenticate.");
-
+// 3) Refresh token endpoint. Routes refresh automatically before the token
+// expires; this forces a refresh now.
+app.post("/token/refresh", requireRole("admin"), async (req, res) => {
   try {
-    const r = await axios.post(
-      "https://openapi.etsy.com/v3/public/oauth/token",
-      qs.stringify({
-        grant_type: "refresh_token",
-        client_id: CLIENT_ID,
-        client_secret: CLIENT_SECRET,
-        refresh_token,
-      }),
-      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
-
-    const tokens = r.data;
-    store.etsy = tokens;
-    saveTokens(store);
-
+    const tokens = await refreshTokens(req.shop_id);
     return res.json({
       message: "Refreshed tokens saved",
+      shop_id: req.shop_id,
       expires_in: tokens.expires_in,
     });
   } catch (err) {
-    console.error("Refresh error:", err.response?.data || err.message);
-    return res.status(500).send("Token refresh failed.");
+    return sendEtsyError(res, err, "Refresh error");
   }
 });
 
-// Helper: get current access token (or 401)
-function getAccessTokenOr401(res) {
-  const store = readTokens();
-  const access_token = store?.etsy?.access_token;
-  if (!access_token) {
-    res
-      .status(401)
-      .send("No access token available. Authenticate via /auth/login");
+// Fail fast when the shop is not connected, before queueing background
+// work that would otherwise fail step by step
+async function ensureAuthenticated(res, shop_id) {
+  try {
+    await getAccessToken(shop_id);
+    return true;
+  } catch (err) {
+    sendEtsyError(res, err, "Authentication error");
+    return false;
+  }
+}
+
+// Validate a listing body and return the payloads Etsy would receive,
+// without creating anything. Shop reference checks that cannot run (e.g. not
+// authenticated) are reported as warnings.
+async function dryRunListing(req, res) {
+  const { body, errors, warnings } = await validateTemplatedListing(
+    req.shop_id,
+    req.body || {}
+  );
+  errors.push(...(await checkListingVideo(body)));
+  const variations = errors.length
+    ? null
+    : await expandListingVariations(body, errors, warnings);
+  discardUpload(req.file?.path);
+  if (errors.length)
+    return res.status(400).json({ ok: false, dry_run: true, errors, warnings });
+  const preview = previewListing(body);
+  if (variations) preview.inventory_payload = variations.payload;
+  return res.json({
+    ok: true,
+    dry_run: true,
+    errors,
+    warnings,
+    ...preview,
+    variations: variations?.products,
+  });
+}
+
+// Expand a listing's variations up front, so a bad combination is reported
+// before a draft is created. Adds to errors/warnings; resolves with
+// { payload, products } or null.
+async function expandListingVariations(body, errors, warnings) {
+  if (!body.variations) return null;
+  try {
+    const result = await buildVariationInventory(body, body.taxonomy_id);
+    errors.push(...result.errors);
+    return result.errors.length ? null : result;
+  } catch (err) {
+    warnings.push(
+      `Could not check variations: ${EtsyApiError.from(err).message}`
+    );
     return null;
   }
-  return access_token;
 }
 
-// Helper: refresh access token if expired
-async function getValidAccessToken(res) {
-  let access_token = getAccessTokenOr401(res);
-  if (!access_token) return null;
-  // Test token validity with a lightweight Etsy API call
+// The listing's video is checked up front, so a bad file is reported before
+// a draft is created. Returns schema-style errors.
+async function checkListingVideo(body) {
+  if (typeof body.video !== "string" || !body.video) return [];
   try {
-    await axios.get("https://openapi.etsy.com/v3/application/users/me", {
-      headers: {
-        Authorization: `Bearer ${access_token}`,
-        "x-api-key": CLIENT_ID,
-        "Content-Type": "application/json",
-      },
-    });
-    return access_token;
+    await prepareVideo(body.video);
+    return [];
   } catch (err) {
-    if (
-      err.response?.data?.error === "invalid_token" ||
-      err.response?.data?.error_description?.includes("expired")
-    ) {
-      // Try to refresh token
-      try {
-        const store = readTokens();
-        const refresh_token = store?.etsy?.refresh_token;
-        if (!refresh_token) return null;
-        const r = await axios.post(
-          "https://openapi.etsy.com/v3/public/oauth/token",
-          qs.stringify({
-            grant_type: "refresh_token",
-            client_id: CLIENT_ID,
-            client_secret: CLIENT_SECRET,
-            refresh_token,
-          }),
-          { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-        );
-        const tokens = r.data;
-        store.etsy = tokens;
-        saveTokens(store);
-        return tokens.access_token;
-      } catch (refreshErr) {
-        console.error(
-          "Token refresh failed:",
-          refreshErr.response?.data || refreshErr.message
-        );
-        res.status(401).send("Token refresh failed. Re-authenticate.");
-        return null;
-      }
-    } else {
-      throw err;
-    }
+    const error = EtsyApiError.from(err);
+    return [{ field: "video", code: error.code, message: error.message }];
   }
 }
 
-// 4) Create a draft listing
-app.post("/listings", async (req, res) => {
-  // Use new helper to get valid access token
-  const access_token = await getValidAccessToken(res);
-  if (!access_token) return;
+// POST /listings also takes multipart/form-data: the listing as JSON in
+// field "listing" and a video file in field "video" (saved to UPLOAD_DIR)
+function listingForm(req, res, next) {
+  if (!req.is("multipart/form-data")) return next();
+  let listing;
+  try {
+    listing = JSON.parse(req.body?.listing || "{}");
+  } catch (e) {
+    discardUpload(req.file?.path);
+    return res.status(400).json({ error: 'Field "listing" must be JSON' });
+  }
+  req.body = req.file ? { ...listing, video: req.file.path } : listing;
+  return next();
+}
 
-  // Accept all Etsy listing properties from request body
-  const {
-    title,
-    description,
-    price,
-    quantity,
-    who_made,
-    when_made,
-    taxonomy_id,
-    shipping_profile_id,
-    return_policy_id,
-    materials,
-    shop_section_id,
-    processing_min,
-    processing_max,
-    readiness_state_id,
-    tags,
-    styles,
-    item_weight,
-    item_length,
-    item_width,
-    item_height,
-    item_weight_unit,
-    item_dimensions_unit,
-    is_personalizable,
-    personalization_is_required,
-    personalization_char_count_max,
-    personalization_instructions,
-    production_partner_ids,
-    image_ids,
-    is_supply,
-    is_customizable,
-    should_auto_renew,
-    is_taxable,
-    type,
-    legacy,
-    image_files, // array of image file paths
-    sku,
-    inventory, // allow full inventory object from payload
-  } = req.body || {};
-
-  // Basic validation for required fields and enums
-  const errors = [];
-  function validPositiveNumber(val) {
-    return typeof val === "number" && val > 0;
-  }
-  if (!title || typeof title !== "string" || !title.trim())
-    errors.push("title is required");
-  if (!description || typeof description !== "string" || !description.trim())
-    errors.push("description is required");
-  if (price === undefined || isNaN(Number(price)) || Number(price) <= 0)
-    errors.push("price must be a positive number");
-  if (
-    quantity === undefined ||
-    isNaN(Number(quantity)) ||
-    !Number.isInteger(Number(quantity)) ||
-    Number(quantity) <= 0
-  )
-    errors.push("quantity must be a positive integer");
-  if (!who_made || !["i_did", "someone_else", "collective"].includes(who_made))
-    errors.push("who_made must be one of: i_did, someone_else, collective");
-  if (
-    !when_made ||
-    ![
-      "made_to_order",
-      "2020_2025",
-      "2010_2019",
-      "2006_2009",
-      "before_2006",
-      "2000_2005",
-      "1990s",
-      "1980s",
-      "1970s",
-      "1960s",
-      "1950s",
-      "1940s",
-      "1930s",
-      "1920s",
-      "1910s",
-      "1900s",
-      "1800s",
-      "1700s",
-      "before_1700",
-    ].includes(when_made)
-  )
-    errors.push("Invalid when_made value");
-
-  if (!sku) errors.push("Sku required");
-  if (!taxonomy_id || isNaN(Number(taxonomy_id)) || Number(taxonomy_id) < 1)
-    errors.push("taxonomy_id must be a positive integer");
-  if (type && !["physical", "download", "both"].includes(type))
-    errors.push("type must be one of: physical, download, both");
-  if (item_weight_unit && !["oz", "lb", "g", "kg"].includes(item_weight_unit))
-    errors.push("item_weight_unit must be one of: oz, lb, g, kg");
-  if (
-    item_dimensions_unit &&
-    !["in", "ft", "mm", "cm", "m", "yd", "inches"].includes(
-      item_dimensions_unit
-    )
-  )
-    errors.push(
-      "item_dimensions_unit must be one of: in, ft, mm, cm, m, yd, inches"
-    );
-  // Validate item_weight, item_length, item_width, item_height only for physical listings
-  if (type === "physical") {
-    if (item_weight !== undefined && !validPositiveNumber(item_weight))
-      errors.push("item_weight must be a positive number if set");
-    if (item_length !== undefined && !validPositiveNumber(item_length))
-      errors.push("item_length must be a positive number if set");
-    if (item_width !== undefined && !validPositiveNumber(item_width))
-      errors.push("item_width must be a positive number if set");
-    if (item_height !== undefined && !validPositiveNumber(item_height))
-      errors.push("item_height must be a positive number if set");
-  }
-  console.log("error=>>>", errors);
-  if (errors.length) return res.status(400).json({ errors });
+// Validate req.body and run it through the listing pipeline. `fields` are
+// journaled on the job and echoed in the response (e.g. source_listing_id).
+async function createListing(req, res, fields = {}) {
+  if (!(await ensureAuthenticated(res, req.shop_id))) {
+    discardUpload(req.file?.path);
+    return;
+  }
+
+  // Accept all Etsy listing properties from request body, on top of the
+  // defaults of the template it names (if any)
+  const { body, errors, warnings } = await validateTemplatedListing(
+    req.shop_id,
+    req.body || {}
+  );
+  errors.push(...(await checkListingVideo(body)));
+  if (!errors.length) await expandListingVariations(body, errors, warnings);
+  if (errors.length) {
+    discardUpload(req.file?.path);
+    return res.status(400).json({ errors, warnings });
+  }
 
   try {
-    const endpoint = `https://api.etsy.com/v3/application/shops/${SHOP_ID}/listings`;
-    // Build payload with all provided fields
-    // Only include physical item fields if type is physical
-    const payload = {
-      title,
-      description,
-      price,
-      quantity,
-      who_made,
-      when_made,
-      taxonomy_id,
-      shipping_profile_id,
-      return_policy_id,
-      materials,
-      shop_section_id,
-      processing_min,
-      processing_max,
-      readiness_state_id,
-      tags,
-      styles,
-      is_personalizable,
-      personalization_is_required,
-      personalization_char_count_max,
-      personalization_instructions,
-      production_partner_ids,
-      image_ids,
-      is_supply,
-      is_customizable,
-      should_auto_renew,
-      is_taxable,
-      type,
-      legacy,
+    // The pipeline runs as a journaled job; see GET /jobs/:job_id
+    const job = createListingJob(req.shop_id, body, fields, req.file?.path);
+    await runListingJob(job);
+    res.locals.audit = {
+      ...fields,
+      job_id: job.job_id,
+      listing_id: job.listing_id,
     };
-    if (type === "physical") {
-      if (validPositiveNumber(item_weight))
-        payload.item_weight = item_weight.toFixed(2);
-      if (validPositiveNumber(item_length))
-        payload.item_length = item_length.toFixed(2);
-      if (validPositiveNumber(item_width))
-        payload.item_width = item_width.toFixed(2);
-      if (validPositiveNumber(item_height))
-        payload.item_height = item_height.toFixed(2);
-      if (item_weight_unit) payload.item_weight_unit = item_weight_unit;
-      if (item_dimensions_unit)
-        payload.item_dimensions_unit = item_dimensions_unit;
-    }
-    // Add inventory object for SKU support
-    if (inventory && typeof inventory === "object") {
-      payload.inventory = inventory;
-    } else if (sku) {
-      // If only sku is provided, build a minimal inventory object
-      payload.inventory = {
-        products: [
-          {
-            sku: sku,
-            property_values: [],
-            offerings: [
-              {
-                price: price,
-                quantity: quantity,
-                is_enabled: true,
-              },
-            ],
-          },
-        ],
-      };
+
+    const createStep = job.steps.create;
+    if (createStep.status === "failed") {
+      return res
+        .status(createStep.error.status)
+        .json({ error: createStep.error, job_id: job.job_id });
+    }
+
+    // return the created listing, image IDs, and inventory update result
+    return res.json({
+      ok: true,
+      job_id: job.job_id,
+      job_status: job.status,
+      ...fields,
+      ...listingJobResult(job),
+    });
+  } catch (err) {
+    return sendEtsyError(res, err, "Create listing error");
+  }
+}
+
+// 4) Create a draft listing (?dry_run=true only validates and previews)
+app.post(
+  "/listings",
+  requireRole("editor"),
+  videoUpload.single("video"),
+  listingForm,
+  (req, res) => {
+    if (["true", "1"].includes(String(req.query.dry_run)))
+      return dryRunListing(req, res);
+    return createListing(req, res);
+  }
+);
+
+// Duplicate a listing as a new draft: its fields, inventory, properties and
+// images (re-uploaded in rank order). The body holds fields to change, e.g.
+// { title, price, sku }. ?dry_run=true previews the copy.
+app.post(
+  "/listings/:listing_id/clone",
+  requireRole("editor"),
+  async (req, res) => {
+    if (!(await ensureAuthenticated(res, req.shop_id))) return;
+    let clone;
+    try {
+      clone = await buildCloneBody(
+        req.shop_id,
+        req.params.listing_id,
+        req.body || {}
+      );
+    } catch (err) {
+      return sendEtsyError(res, err, "Clone listing error");
     }
-    // Remove undefined fields
-    Object.keys(payload).forEach(
-      (key) => payload[key] === undefined && delete payload[key]
+    req.body = clone.body;
+    if (["true", "1"].includes(String(req.query.dry_run)))
+      return dryRunListing(req, res);
+    return createListing(req, res, {
+      source_listing_id: clone.source.listing_id,
+    });
+  }
+);
+
+// Same as POST /listings?dry_run=true
+app.post("/listings/validate", requireRole("viewer"), dryRunListing);
+
+// Listing templates: named defaults for POST /listings and imports. A body
+// with template: "<name>" gets the template's defaults under its own fields,
+// plus its description header/footer and tags; {{field}} placeholders in
+// those are filled from the listing and the body's template_vars.
+app.get("/templates", requireRole("viewer"), (req, res) => {
+  const results = listTemplates(req.shop_id);
+  return res.json({ count: results.length, results });
+});
+
+app.get("/templates/:name", requireRole("viewer"), (req, res) => {
+  const template = getTemplate(req.shop_id, req.params.name);
+  if (!template)
+    return res
+      .status(404)
+      .json({ error: `Template ${req.params.name} not found` });
+  return res.json(template);
+});
+
+// Create or replace a template
+app.put("/templates/:name", requireRole("editor"), (req, res) => {
+  const body = { ...req.body, name: req.params.name };
+  const errors = validateTemplate(body);
+  if (errors.length) return res.status(400).json({ errors });
+  const created = !getTemplate(req.shop_id, body.name);
+  res.locals.audit = { template: body.name };
+  return res.status(created ? 201 : 200).json(saveTemplate(req.shop_id, body));
+});
+
+app.delete("/templates/:name", requireRole("editor"), (req, res) => {
+  res.locals.audit = { template: req.params.name };
+  if (!deleteTemplate(req.shop_id, req.params.name))
+    return res
+      .status(404)
+      .json({ error: `Template ${req.params.name} not found` });
+  return res.json({ ok: true, deleted: req.params.name });
+});
+
+// 5) Bulk import drafts from a CSV or JSONL upload (form field "file").
+// Rows are validated like POST /listings; valid rows are created one by one in
+// the background. Poll GET /listings/import/:job_id for per-row results.
+app.post(
+  "/listings/import",
+  requireRole("editor"),
+  upload.single("file"),
+  async (req, res) => {
+    if (!req.file)
+      return res
+        .status(400)
+        .json({ error: "Upload a CSV or JSONL file as 'file'" });
+
+    let parsed;
+    try {
+      parsed = parseImportFile(req.file, req.body?.format);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (!parsed.entries.length)
+      return res.status(400).json({ error: "Import file contains no rows" });
+
+    if (!(await ensureAuthenticated(res, req.shop_id))) return;
+
+    const job = await createImportJob(
+      req.shop_id,
+      parsed.entries,
+      parsed.format
+    );
+    res.locals.audit = { job_id: job.job_id };
+    runImportJob(job).catch((err) =>
+      console.error(`Import ${job.job_id} crashed:`, err.message)
     );
 
-    // Create the listing first
-    const r = await axios.post(endpoint, payload, {
-      headers: {
-        Authorization: `Bearer ${access_token}`,
-        "x-api-key": CLIENT_ID,
-        "Content-Type": "application/json",
-      },
+    return res.status(202).json({
+      job_id: job.job_id,
+      status_url: `${BASE_URL}/listings/import/${job.job_id}`,
+      ...serializeImportJob(job),
     });
-    const listing = r.data;
-
-    // Upload images if image_files is provided and is an array
-    let uploadedImageIds = [];
-    const isUrl = (str) => /^https?:\/\//i.test(str);
-    const tmpDir = path.join(__dirname, "tmp_images");
-    if (!fs.existsSync(tmpDir)) fs.mkdirSync(tmpDir);
-    if (
-      Array.isArray(image_files) &&
-      image_files.length > 0 &&
-      listing.listing_id &&
-      SHOP_ID
-    ) {
-      // Wait 2 seconds before starting image upload to avoid Etsy concurrency error
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-
-      // Retry logic for image upload
-      async function uploadImageWithRetry(filePath, i, maxRetries = 3) {
-        let attempt = 0;
-        let localPath = filePath;
-        let tempFile = null;
-        while (attempt < maxRetries) {
-          try {
-            if (isUrl(filePath)) {
-              // Download image from URL to temp file
-              const response = await axios.get(filePath, {
-                responseType: "arraybuffer",
-              });
-              const ext = path.extname(filePath) || ".jpg";
-              tempFile = path.join(
-                tmpDir,
-                `${crypto.randomBytes(8).toString("hex")}${ext}`
-              );
-              fs.writeFileSync(tempFile, response.data);
-              localPath = tempFile;
-            }
-            const form = new FormData();
-            form.append("image", fs.createReadStream(localPath));
-            form.append("rank", String(i + 1));
-            const imgEndpoint = `https://openapi.etsy.com/v3/application/shops/${SHOP_ID}/listings/${listing.listing_id}/images`;
-            const imgResp = await axios.post(imgEndpoint, form, {
-              headers: {
-                Authorization: `Bearer ${access_token}`,
-                "x-api-key": CLIENT_ID,
-                ...form.getHeaders(),
-              },
-            });
-            if (imgResp.data && imgResp.data.listing_image_id) {
-              // Clean up temp file if created
-              if (tempFile && fs.existsSync(tempFile)) {
-                fs.unlinkSync(tempFile);
-              }
-              return String(imgResp.data.listing_image_id);
-            }
-          } catch (imgErr) {
-            // Check for Etsy concurrency error
-            const errorMsg = imgErr.response?.data?.error || imgErr.message;
-            if (
-              errorMsg &&
-              errorMsg.includes("is being edited by another process") &&
-              attempt < maxRetries - 1
-            ) {
-              // Wait 2 seconds and retry
-              await new Promise((resolve) => setTimeout(resolve, 2000));
-              attempt++;
-              continue;
-            }
-            console.error(
-              `Image upload failed for ${filePath} (attempt ${attempt + 1}):`,
-              imgErr.response?.data || imgErr.message
-            );
-            break;
-          } finally {
-            // Clean up temp file if created
-            if (tempFile && fs.existsSync(tempFile)) {
-              fs.unlinkSync(tempFile);
-            }
-          }
-          break;
-        }
-        return null;
-      }
+  }
+);
 
-      // Sequential upload (one by one)
-      uploadedImageIds = [];
-      for (let i = 0; i < image_files.length; i++) {
-        const filePath = image_files[i];
-        const imageId = await uploadImageWithRetry(filePath, i);
-        if (imageId) uploadedImageIds.push(imageId);
-      }
+// 6) Bulk import job status
+app.get("/listings/import/:job_id", requireRole("viewer"), (req, res) => {
+  const job = getImportJob(req.params.job_id);
+  if (!job) return res.status(404).json({ error: "Import job not found" });
+  return res.json(serializeImportJob(job));
+});
+
+// Update a listing's fields (partial; same validation as creation)
+app.patch("/listings/:listing_id", requireRole("editor"), async (req, res) => {
+  const { listing_id } = req.params;
+  const body = req.body || {};
+  const { errors, warnings } = await validateListingUpdate(body, req.shop_id);
+  if (errors.length) return res.status(400).json({ errors, warnings });
+
+  const payload = buildUpdatePayload(body);
+  if (!Object.keys(payload).length)
+    return res.status(400).json({ error: "No updatable fields given" });
+
+  try {
+    const listing = await updateListing(req.shop_id, listing_id, payload);
+    return res.json({ ok: true, listing, warnings });
+  } catch (err) {
+    return sendEtsyError(res, err, "Update listing error");
+  }
+});
+
+// Publish a draft (or reactivate an inactive listing) once it has everything
+// Etsy requires to go live
+app.post(
+  "/listings/:listing_id/publish",
+  requireRole("editor"),
+  async (req, res) => {
+    const { listing_id } = req.params;
+    try {
+      const current = await getListing(req.shop_id, listing_id, ["Images"]);
+      const errors = publishPrerequisites(current);
+      if (errors.length)
+        return res.status(422).json({ errors, state: current.state });
+
+      const listing = await updateListing(req.shop_id, listing_id, {
+        state: "active",
+      });
+      return res.json({ ok: true, listing });
+    } catch (err) {
+      return sendEtsyError(res, err, "Publish listing error");
     }
+  }
+);
+
+// Take an active listing off the shop without deleting it
+app.post(
+  "/listings/:listing_id/deactivate",
+  requireRole("editor"),
+  async (req, res) => {
+    const { listing_id } = req.params;
+    try {
+      const listing = await updateListing(req.shop_id, listing_id, {
+        state: "inactive",
+      });
+      return res.json({ ok: true, listing });
+    } catch (err) {
+      return sendEtsyError(res, err, "Deactivate listing error");
+    }
+  }
+);
 
-    // After draft listing is created, update inventory with SKU if provided
-    let inventoryUpdateResult = null;
-    let videoUploadResult = null;
-    if (listing.listing_id && (sku || inventory)) {
-      try {
-        // Build inventory payload as in PUT /listings/:listing_id/inventory
-        let productsArr = [];
-        if (inventory && Array.isArray(inventory.products)) {
-          productsArr = inventory.products;
-        } else if (sku) {
-          productsArr = [
-            {
-              sku: Number(sku),
-              property_values: [],
-              offerings: [
-                {
-                  price: price,
-                  quantity: quantity,
-                  is_enabled: true,
-                  readiness_state_id: readiness_state_id, // Default to 1 if not specified
-                },
-              ],
-            },
-          ];
-        }
+// Delete a listing (listings_d scope)
+app.delete("/listings/:listing_id", requireRole("editor"), async (req, res) => {
+  const { listing_id } = req.params;
+  try {
+    await deleteListing(req.shop_id, listing_id);
+    return res.json({ ok: true, listing_id: Number(listing_id) });
+  } catch (err) {
+    return sendEtsyError(res, err, "Delete listing error");
+  }
+});
 
-        // Ensure all offerings have readiness_state
-        productsArr = productsArr.map((product) => {
-          if (product.offerings) {
-            product.offerings = product.offerings.map((offering) => ({
-              ...offering,
-              readiness_state_id: readiness_state_id,
-            }));
-          }
-          return product;
-        });
+// Images of a listing, in rank order
+app.get(
+  "/listings/:listing_id/images",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      return res.json(await listImages(req.shop_id, req.params.listing_id));
+    } catch (err) {
+      return sendEtsyError(res, err, "Get listing images error");
+    }
+  }
+);
+
+// Add images to a listing: multipart files in field "images" and/or
+// `sources` (file paths or URLs, in JSON or as repeated form fields).
+// Optional `rank` (first rank to use; default after the existing images) and
+// `alt_text`. Images go through the same processing and duplicate check as
+// listing creation; the response reports the outcome of each.
+app.post(
+  "/listings/:listing_id/images",
+  requireRole("editor"),
+  imageUpload.array("images"),
+  async (req, res) => {
+    const { listing_id } = req.params;
+    const body = req.body || {};
+    const sources = [].concat(body.sources || []);
+    const files = req.files || [];
+    if (!files.length && !sources.length)
+      return res.status(400).json({
+        error: 'Upload files in field "images" or pass sources (paths/URLs)',
+      });
+    if (sources.some((source) => typeof source !== "string"))
+      return res
+        .status(400)
+        .json({ error: "sources must be file paths or URLs" });
+
+    let attached, existing;
+    try {
+      existing = (await listImages(req.shop_id, listing_id)).results || [];
+      attached = await attachedImageHashes(req.shop_id, listing_id);
+    } catch (err) {
+      return sendEtsyError(res, err, "Get listing images error");
+    }
 
-        const inventoryPayload = {
-          products: productsArr,
-          readiness_state_on_property: [], // Add empty array if no property-based readiness states
-        };
-        const endpointInventory = `https://openapi.etsy.com/v3/application/listings/${listing.listing_id}/inventory`;
-        const rInventory = await axios.put(
-          endpointInventory,
-          inventoryPayload,
-          {
-            headers: {
-              Authorization: `Bearer ${access_token}`,
-              "x-api-key": CLIENT_ID,
-              "Content-Type": "application/json",
-            },
-          }
-        );
-        inventoryUpdateResult = rInventory.data;
-
-        // Upload video.mp4 after successful inventory update
-        const videoPath = path.join(__dirname, "video.mp4");
-        if (fs.existsSync(videoPath)) {
-          try {
-            const form = new FormData();
-            form.append("video", fs.createReadStream(videoPath));
-            form.append("name", "video.mp4");
-            const videoEndpoint = `https://openapi.etsy.com/v3/application/shops/${SHOP_ID}/listings/${listing.listing_id}/videos`;
-            const videoResp = await axios.post(videoEndpoint, form, {
-              headers: {
-                Authorization: `Bearer ${access_token}`,
-                "x-api-key": CLIENT_ID,
-                ...form.getHeaders(),
-              },
-            });
-            videoUploadResult = videoResp.data;
-          } catch (err) {
-            console.error(
-              "Video upload error:",
-              err.response?.data || err.message
-            );
-            videoUploadResult = { error: err.response?.data || err.message };
-          }
-        }
+    const inputs = [
+      ...files.map((file) => ({
+        source: file.buffer,
+        label: file.originalname,
+      })),
+      ...sources.map((source) => ({ source, label: source })),
+    ];
+    let rank = Number(body.rank) || existing.length + 1;
+    const images = [];
+    for (const { source, label } of inputs) {
+      try {
+        const outcome = await attachImage(req.shop_id, listing_id, source, {
+          rank,
+          alt_text: body.alt_text,
+          attached,
+          label,
+        });
+        if (outcome.status === "uploaded") rank++;
+        images.push({ source: label, ...outcome });
       } catch (err) {
-        console.error(
-          "Inventory update after draft failed:",
-          err.response?.data || err.message
-        );
+        const error = EtsyApiError.from(err);
+        console.error(`Image ${label} failed:`, error.details || error.message);
+        images.push({
+          source: label,
+          status: "failed",
+          code: error.code,
+          message: error.message,
+        });
       }
     }
 
-    // return the created listing, image IDs, and inventory update result
-    return res.json({
-      ok: true,
-      listing,
-      listing_images_id: uploadedImageIds,
-      inventory: inventoryUpdateResult,
-      video: videoUploadResult,
+    const ok = images.some((image) => image.status !== "failed");
+    return res.status(ok ? 200 : 422).json({
+      ok,
+      listing_id: Number(listing_id),
+      images,
     });
+  }
+);
+
+// Reorder images and/or set alt text. Body: { images: [id | { listing_image_id,
+// alt_text }] } in the new order; images not listed keep their place after
+// the listed ones.
+app.post(
+  "/listings/:listing_id/images/reorder",
+  requireRole("editor"),
+  async (req, res) => {
+    const { listing_id } = req.params;
+    const { images } = req.body || {};
+    if (!Array.isArray(images) || !images.length)
+      return res.status(400).json({
+        error: "images must be a non-empty array of listing_image_ids",
+      });
+    const order = images.map((image) =>
+      typeof image === "object" && image !== null
+        ? { ...image, listing_image_id: String(image.listing_image_id) }
+        : { listing_image_id: String(image) }
+    );
+
+    try {
+      const current = (await listImages(req.shop_id, listing_id)).results || [];
+      const ids = current.map((image) => String(image.listing_image_id));
+      const unknown = order
+        .map((image) => image.listing_image_id)
+        .filter((id) => !ids.includes(id));
+      if (unknown.length)
+        return res.status(422).json({
+          error: `Not images of this listing: ${unknown.join(", ")}`,
+        });
+
+      // Etsy moves the other images down as each one is placed
+      for (let i = 0; i < order.length; i++) {
+        const { listing_image_id, alt_text } = order[i];
+        await updateImage(req.shop_id, listing_id, listing_image_id, {
+          rank: i + 1,
+          alt_text,
+        });
+      }
+      return res.json(await listImages(req.shop_id, listing_id));
+    } catch (err) {
+      return sendEtsyError(res, err, "Reorder listing images error");
+    }
+  }
+);
+
+app.delete(
+  "/listings/:listing_id/images/:listing_image_id",
+  requireRole("editor"),
+  async (req, res) => {
+    const { listing_id, listing_image_id } = req.params;
+    try {
+      await deleteImage(req.shop_id, listing_id, listing_image_id);
+      return res.json({
+        ok: true,
+        listing_id: Number(listing_id),
+        listing_image_id: Number(listing_image_id),
+      });
+    } catch (err) {
+      return sendEtsyError(res, err, "Delete listing image error");
+    }
+  }
+);
+
+// The listing's video (Etsy allows one per listing)
+app.get(
+  "/listings/:listing_id/videos",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      return res.json(await listVideos(req.shop_id, req.params.listing_id));
+    } catch (err) {
+      return sendEtsyError(res, err, "Get listing videos error");
+    }
+  }
+);
+
+// Add or replace the listing's video: a multipart file in field "video", or
+// { source } (file path or URL). The video is validated (MP4/MOV, 5-15s,
+// up to 100MB) before the current one is removed.
+app.post(
+  "/listings/:listing_id/videos",
+  requireRole("editor"),
+  videoUpload.single("video"),
+  async (req, res) => {
+    const source = req.file?.path || req.body?.source;
+    if (!source)
+      return res.status(400).json({
+        error: 'Upload a file in field "video" or pass source (path/URL)',
+      });
+    try {
+      const video = await replaceVideo(
+        req.shop_id,
+        req.params.listing_id,
+        source,
+        req.file?.originalname
+      );
+      return res.json({
+        ok: true,
+        listing_id: Number(req.params.listing_id),
+        video,
+      });
+    } catch (err) {
+      return sendEtsyError(res, err, "Upload listing video error");
+    } finally {
+      discardUpload(req.file?.path);
+    }
+  }
+);
+
+// Remove the listing's video
+app.delete(
+  "/listings/:listing_id/videos",
+  requireRole("editor"),
+  async (req, res) => {
+    const { listing_id } = req.params;
+    try {
+      const current = (await listVideos(req.shop_id, listing_id)).results || [];
+      for (const { video_id } of current)
+        await deleteVideo(req.shop_id, listing_id, video_id);
+      return res.json({
+        ok: true,
+        listing_id: Number(listing_id),
+        deleted: current.map((video) => video.video_id),
+      });
+    } catch (err) {
+      return sendEtsyError(res, err, "Delete listing video error");
+    }
+  }
+);
+
+// Journaled jobs (listing pipelines and bulk imports)
+app.get("/jobs", requireRole("viewer"), (req, res) => {
+  const { type, status } = req.query;
+  const jobs = listJobs({ type, status }).map((job) =>
+    job.type === "import" ? serializeImportJob(job) : job
+  );
+  return res.json({ count: jobs.length, results: jobs });
+});
+
+app.get("/jobs/:job_id", requireRole("viewer"), (req, res) => {
+  const job = getJob(req.params.job_id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  return res.json(job.type === "import" ? serializeImportJob(job) : job);
+});
+
+// Resume an unfinished or failed job from the step (or import rows) where it
+// stopped
+app.post("/jobs/:job_id/retry", requireRole("editor"), async (req, res) => {
+  const job = getJob(req.params.job_id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (job.type === "listing" && job.status === "completed")
+    return res.status(409).json({ error: "Job already completed" });
+  if (job.type === "import" && isImportJobRunning(job.job_id))
+    return res.status(409).json({ error: "Import job is still running" });
+
+  // the job acts on the shop it was created for, not the caller's default
+  const shop_id = job.shop_id || defaultShopId();
+  if (!(await ensureAuthenticated(res, shop_id))) return;
+
+  if (job.type === "import") {
+    retryImportJob(job);
+    runImportJob(job).catch((err) =>
+      console.error(`Import ${job.job_id} crashed:`, err.message)
+    );
+    return res.status(202).json(serializeImportJob(job));
+  }
+
+  try {
+    await runListingJob(job);
   } catch (err) {
-    console.log(err);
-    console.log("Full API error object:", err);
-    if (err.response) {
-      console.log("API error response data:", err.response.data);
-      console.log("API error response status:", err.response.status);
-      console.log("API error response headers:", err.response.headers);
-    }
-    console.error("Create listing error:", err.response?.data || err.message);
-    const status = err.response?.status || 500;
-    return res
-      .status(status)
-      .json({ error: err.response?.data || err.message });
+    job.status = "failed";
+    job.error = { error: EtsyApiError.from(err).toJSON() };
+    saveJob(job);
   }
+  return res.json(job);
 });
 
-// 7) Simple endpoint to show token status (for debugging)
-app.get("/tokens", (req, res) => {
-  const store = readTokens();
-  res.json(store);
+// Orders (shop receipts) for fulfillment. Filters: paid, shipped,
+// delivered, canceled (true/false), from/to (created; ISO date or unix
+// seconds), updated_from/updated_to, plus limit, offset, sort_on, sort_order.
+app.get("/orders", requireRole("viewer"), async (req, res) => {
+  const { params, error } = parseOrderFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  try {
+    return res.json(await listReceipts(req.shop_id, params));
+  } catch (err) {
+    return sendEtsyError(res, err, "Get orders error");
+  }
 });
 
-// health
-// Proxy Etsy API: Get authenticated user info
-app.get("/me", async (req, res) => {
-  const access_token = getValidAccessToken(res);
-  if (!access_token) return;
+// Receipts for fulfillment documents: ?receipt_ids=1,2,3, or every open
+// (paid, unshipped) receipt when none are given
+async function fulfillmentReceipts(req) {
+  await ensureSkuIndex(req.shop_id);
+  const ids = String(req.query.receipt_ids || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  if (!ids.length) return openReceipts(req.shop_id);
+  const receipts = [];
+  for (const id of ids) receipts.push(await getReceipt(req.shop_id, id));
+  return receipts;
+}
+
+// Send a rendered document (?format=html, the default, pdf or json)
+function fulfillmentDocument(render, label) {
+  return async (req, res) => {
+    const format = String(req.query.format || "html").toLowerCase();
+    if (!DOCUMENT_FORMATS.includes(format))
+      return res.status(400).json({
+        error: `format must be one of: ${DOCUMENT_FORMATS.join(", ")}`,
+      });
+    if (!(await ensureAuthenticated(res, req.shop_id))) return;
+    try {
+      const receipts = await fulfillmentReceipts(req);
+      const shop_name =
+        getConnection(req.shop_id)?.shop_name || `Shop ${req.shop_id}`;
+      const { contentType, body } = await render(shop_name, receipts, format);
+      return res.type(contentType).send(body);
+    } catch (err) {
+      return sendEtsyError(res, err, label);
+    }
+  };
+}
 
+// Printable packing slips, one per receipt
+app.get(
+  "/orders/packing-slips",
+  requireRole("viewer"),
+  fulfillmentDocument(renderPackingSlips, "Packing slips error")
+);
+
+// Pick list: quantities to pick per SKU and variation across the receipts
+app.get(
+  "/orders/pick-list",
+  requireRole("viewer"),
+  fulfillmentDocument(renderPickList, "Pick list error")
+);
+
+// One receipt; its transactions are listed as `items` with the SKU index
+// entry each one maps to (`catalog`)
+app.get("/orders/:receipt_id", requireRole("viewer"), async (req, res) => {
   try {
-    const endpoint = "https://openapi.etsy.com/v3/application/users/me";
-    const r = await axios.get(endpoint, {
-      headers: {
-        Authorization: `Bearer ${access_token}`,
-        "x-api-key": CLIENT_ID,
-        "Content-Type": "application/json",
-      },
-    });
-    return res.json(r.data);
+    await ensureSkuIndex(req.shop_id);
+    return res.json(await getReceipt(req.shop_id, req.params.receipt_id));
   } catch (err) {
-    console.error("Get user info error:", err.response?.data || err.message);
-    const status = err.response?.status || 500;
-    return res
-      .status(status)
-      .json({ error: err.response?.data || err.message });
+    return sendEtsyError(res, err, "Get order error");
   }
 });
 
+// Submit a shipment: { tracking_code, carrier_name, send_bcc?,
+// note_to_buyer? }. Etsy marks the receipt shipped and notifies the buyer.
+app.post(
+  "/orders/:receipt_id/shipments",
+  requireRole("editor"),
+  async (req, res) => {
+    const errors = validateShipment(req.body);
+    if (errors.length) return res.status(400).json({ errors });
+    res.locals.audit = { receipt_id: req.params.receipt_id };
+    try {
+      return res.json({
+        ok: true,
+        receipt: await createShipment(
+          req.shop_id,
+          req.params.receipt_id,
+          req.body
+        ),
+      });
+    } catch (err) {
+      return sendEtsyError(res, err, "Create shipment error");
+    }
+  }
+);
+
+// 7) Token status (for debugging): scopes, expiry and shop per connection.
+// Never returns the tokens themselves.
+app.get("/tokens", requireRole("admin"), (req, res) => {
+  try {
+    return res.json(tokenStatus());
+  } catch (err) {
+    return sendEtsyError(res, err, "Token status error");
+  }
+});
+
+// Audit log of writes, newest first. Filter by caller, listing_id, shop_id,
+// method or status; limit defaults to 100.
+app.get("/audit", requireRole("admin"), (req, res) => {
+  const { caller, listing_id, shop_id, method, status } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  const entries = readAuditLog(
+    { caller, listing_id, shop_id, method, status },
+    limit
+  );
+  res.json({ count: entries.length, entries });
+});
+
+// Connected shops (without their tokens)
+app.get("/shops", requireRole("viewer"), (req, res) => {
+  const default_shop_id = defaultShopId();
+  const shops = listConnections().map((c) => ({
+    shop_id: c.shop_id,
+    shop_name: c.shop_name,
+    user_id: c.user_id,
+    scope: c.tokens?.scope || null,
+    expires_at: c.tokens?.expires_at
+      ? new Date(c.tokens.expires_at).toISOString()
+      : null,
+    connected_at: c.connected_at,
+    is_default: String(c.shop_id) === default_shop_id,
+  }));
+  res.json({ default_shop_id, count: shops.length, shops });
+});
+
+// Disconnect a shop (forget its tokens)
+app.delete("/shops/:shop_id", requireRole("admin"), (req, res) => {
+  if (!removeConnection(req.params.shop_id))
+    return res.status(404).json({ error: "Shop is not connected" });
+  return res.json({ ok: true, shop_id: req.params.shop_id });
+});
+
+// Use this shop when a request does not name one
+app.post("/shops/:shop_id/default", requireRole("admin"), (req, res) => {
+  if (!setDefaultShop(req.params.shop_id))
+    return res.status(404).json({ error: "Shop is not connected" });
+  return res.json({ ok: true, default_shop_id: req.params.shop_id });
+});
+
 // health
 // Proxy Etsy API: Get authenticated user info
-app.get("/return-policies", async (req, res) => {
-  const access_token = getValidAccessToken(res);
-  if (!access_token) return;
-
+app.get("/me", requireRole("viewer"), async (req, res) => {
   try {
-    const endpoint = `https://openapi.etsy.com/v3/application/shops/${SHOP_ID}/policies/return`;
-    const r = await axios.get(endpoint, {
-      headers: {
-        Authorization: `Bearer ${access_token}`,
-        "x-api-key": CLIENT_ID,
-        "Content-Type": "application/json",
-      },
-    });
-    return res.json(r.data);
+    return res.json(await etsy.get("/users/me", { shop_id: req.shop_id }));
   } catch (err) {
-    console.error("Get user info error:", err.response?.data || err.message);
-    const status = err.response?.status || 500;
+    return sendEtsyError(res, err, "Get user info error");
+  }
+});
+
+// Reference data routes answer from the cache (see lib/cache.js). ?refresh=
+// true reloads from Etsy first. Responses carry an ETag and a max-age of the
+// entry's remaining lifetime; If-None-Match with a current ETag gets a 304.
+const cacheOptions = (req) => ({
+  refresh: ["true", "1"].includes(String(req.query.refresh)),
+});
+
+function sendCached(res, entry) {
+  res.set({
+    ETag: entry.etag,
+    "Last-Modified": new Date(entry.stored_at).toUTCString(),
+    "Cache-Control": `private, max-age=${maxAge(entry)}`,
+  });
+  return res.json({ count: entry.value.length, results: entry.value });
+}
+
+// Cache TTLs and entries (without their data)
+app.get("/cache", requireRole("admin"), (req, res) => res.json(cacheStatus()));
+
+// Drop cached entries: all, or ?type= (e.g. shipping-profiles) and/or
+// ?shop_id= / ?scope= (taxonomy ID for taxonomy-properties)
+app.delete("/cache", requireRole("admin"), (req, res) => {
+  const { type } = req.query;
+  const scope = req.query.scope ?? req.query.shop_id;
+  if (type && TTLS[type] === undefined)
+    return res.status(400).json({
+      error: `Unknown cache type ${type}; one of: ${Object.keys(TTLS).join(
+        ", "
+      )}`,
+    });
+  return res.json({ ok: true, removed: invalidate({ type, scope }) });
+});
+
+// Outbound webhooks for shop events (order.created, listing.state_changed,
+// stock.depleted), found by the background poller. Deliveries are signed
+// with the webhook's secret, which is only returned when it is created.
+app.get("/webhooks", requireRole("admin"), (req, res) => {
+  const results = listWebhooks();
+  return res.json({ count: results.length, event_types: EVENT_TYPES, results });
+});
+
+// Register a webhook: { url, events?: [...] | ["*"], secret?, shop_id? }
+app.post("/webhooks", requireRole("admin"), (req, res) => {
+  const errors = validateWebhook(req.body);
+  if (errors.length) return res.status(400).json({ errors });
+  const webhook = createWebhook(req.body);
+  res.locals.audit = { webhook_id: webhook.id };
+  return res.status(201).json(webhook);
+});
+
+// Recent deliveries, newest first; ?status=pending|delivered|failed
+app.get("/webhooks/deliveries", requireRole("admin"), (req, res) => {
+  const results = listDeliveries(req.query.status);
+  return res.json({ count: results.length, results });
+});
+
+app.delete("/webhooks/:id", requireRole("admin"), (req, res) => {
+  res.locals.audit = { webhook_id: req.params.id };
+  if (!deleteWebhook(req.params.id))
+    return res
+      .status(404)
+      .json({ error: `Webhook ${req.params.id} not found` });
+  return res.json({ ok: true, deleted: req.params.id });
+});
+
+// Send a webhook.test event to one webhook right away. delivery is null when
+// the webhook was deleted (taking its deliveries along) meanwhile.
+app.post("/webhooks/:id/test", requireRole("admin"), async (req, res) => {
+  res.locals.audit = { webhook_id: req.params.id };
+  const event = {
+    id: crypto.randomUUID(),
+    type: "webhook.test",
+    shop_id: req.shop_id,
+    occurred_at: new Date().toISOString(),
+    data: {},
+  };
+  if (!dispatch(event, req.params.id))
     return res
-      .status(status)
-      .json({ error: err.response?.data || err.message });
+      .status(404)
+      .json({ error: `Webhook ${req.params.id} not found` });
+  await deliverDue();
+  const delivery =
+    listDeliveries().find((d) => d.event.id === event.id) || null;
+  return res.json({ ok: delivery?.status === "delivered", delivery });
+});
+
+// Poller status and recent events, newest first; ?type= and ?shop_id=.
+// Only shops some webhook subscribes to are polled, so a shop without one has
+// no events here (see POST /webhooks).
+app.get("/events", requireRole("viewer"), (req, res) => {
+  const results = listEvents({
+    type: req.query.type,
+    shop_id: req.query.shop_id,
+  });
+  return res.json({ poller: pollerStatus(), count: results.length, results });
+});
+
+// Poll every subscribed shop now (joins a poll already running). The run
+// lists the polled shops under `shops` and the connected shops no webhook
+// subscribes to, which are not polled, under `skipped`.
+app.post("/events/poll", requireRole("admin"), async (req, res) => {
+  try {
+    return res.json(await pollAll());
+  } catch (err) {
+    return sendEtsyError(res, err, "Poll error");
   }
 });
 
-// 8) Get listings by shop (proxy Etsy getListingsByShop API)
-app.get("/shops/listings", async (req, res) => {
-  const access_token = getAccessTokenOr401(res);
-  if (!access_token) return;
+// Get return policies for a shop
+app.get("/return-policies", requireRole("viewer"), async (req, res) => {
+  try {
+    return sendCached(
+      res,
+      await shopResourceEntry(req.shop_id, "return-policies", cacheOptions(req))
+    );
+  } catch (err) {
+    return sendEtsyError(res, err, "Get return policies error");
+  }
+});
 
-  let { shop_id } = req.params;
+app.get(
+  "/return-policies/:policy_id",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      return res.json(await getReturnPolicy(req.shop_id, req.params.policy_id));
+    } catch (err) {
+      return sendEtsyError(res, err, "Get return policy error");
+    }
+  }
+);
+
+// Create a return policy: { accepts_returns, accepts_exchanges,
+// return_deadline } (deadline in days, when returns or exchanges are
+// accepted)
+app.post("/return-policies", requireRole("editor"), async (req, res) => {
+  const errors = validateReturnPolicy(req.body);
+  if (errors.length) return res.status(400).json({ errors });
+  try {
+    const policy = await createReturnPolicy(req.shop_id, req.body);
+    res.locals.audit = { return_policy_id: policy.return_policy_id };
+    return res.status(201).json(policy);
+  } catch (err) {
+    return sendEtsyError(res, err, "Create return policy error");
+  }
+});
+
+// Replace a return policy (same body as creating one)
+app.put(
+  "/return-policies/:policy_id",
+  requireRole("editor"),
+  async (req, res) => {
+    const { policy_id } = req.params;
+    res.locals.audit = { return_policy_id: policy_id };
+    const errors = validateReturnPolicy(req.body);
+    if (errors.length) return res.status(400).json({ errors });
+    try {
+      return res.json(
+        await updateReturnPolicy(req.shop_id, policy_id, req.body)
+      );
+    } catch (err) {
+      return sendEtsyError(res, err, "Update return policy error");
+    }
+  }
+);
+
+// Etsy refuses while listings use the policy: move them first
+app.delete(
+  "/return-policies/:policy_id",
+  requireRole("editor"),
+  async (req, res) => {
+    const { policy_id } = req.params;
+    res.locals.audit = { return_policy_id: policy_id };
+    try {
+      await deleteReturnPolicy(req.shop_id, policy_id);
+      return res.json({ ok: true, deleted: policy_id });
+    } catch (err) {
+      return sendEtsyError(res, err, "Delete return policy error");
+    }
+  }
+);
+
+// Put listings on this return policy: { listing_ids }
+app.post(
+  "/return-policies/:policy_id/listings",
+  requireRole("editor"),
+  async (req, res) => {
+    const errors = validateMove(req.body, { requireListingIds: true });
+    if (errors.length) return res.status(400).json({ errors });
+    try {
+      return await sendListingMove(req, res, {
+        field: "return_policy_id",
+        to: req.params.policy_id,
+        load: getReturnPolicies,
+        label: "Return policy",
+        listing_ids: req.body.listing_ids,
+      });
+    } catch (err) {
+      return sendEtsyError(res, err, "Move listings to return policy error");
+    }
+  }
+);
+
+// Shop sections: the IDs POST /listings takes as shop_section_id
+app.get("/shops/sections", requireRole("viewer"), async (req, res) => {
+  try {
+    return sendCached(
+      res,
+      await shopResourceEntry(req.shop_id, "shop-sections", cacheOptions(req))
+    );
+  } catch (err) {
+    return sendEtsyError(res, err, "Get shop sections error");
+  }
+});
+
+app.get(
+  "/shops/sections/:section_id",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      return res.json(await getShopSection(req.shop_id, req.params.section_id));
+    } catch (err) {
+      return sendEtsyError(res, err, "Get shop section error");
+    }
+  }
+);
+
+// Create a section: { title } (at most 24 characters)
+app.post("/shops/sections", requireRole("editor"), async (req, res) => {
+  const errors = validateShopSection(req.body);
+  if (errors.length) return res.status(400).json({ errors });
+  try {
+    const section = await createShopSection(req.shop_id, req.body);
+    res.locals.audit = { shop_section_id: section.shop_section_id };
+    return res.status(201).json(section);
+  } catch (err) {
+    return sendEtsyError(res, err, "Create shop section error");
+  }
+});
 
-  shop_id = SHOP_ID;
+// Rename a section: { title }
+app.put(
+  "/shops/sections/:section_id",
+  requireRole("editor"),
+  async (req, res) => {
+    const { section_id } = req.params;
+    res.locals.audit = { shop_section_id: section_id };
+    const errors = validateShopSection(req.body);
+    if (errors.length) return res.status(400).json({ errors });
+    try {
+      return res.json(
+        await updateShopSection(req.shop_id, section_id, req.body)
+      );
+    } catch (err) {
+      return sendEtsyError(res, err, "Update shop section error");
+    }
+  }
+);
+
+// Listings in a deleted section stay listed, outside any section
+app.delete(
+  "/shops/sections/:section_id",
+  requireRole("editor"),
+  async (req, res) => {
+    const { section_id } = req.params;
+    res.locals.audit = { shop_section_id: section_id };
+    try {
+      await deleteShopSection(req.shop_id, section_id);
+      return res.json({ ok: true, deleted: section_id });
+    } catch (err) {
+      return sendEtsyError(res, err, "Delete shop section error");
+    }
+  }
+);
+
+// Move listings into this section: { listing_ids }
+app.post(
+  "/shops/sections/:section_id/listings",
+  requireRole("editor"),
+  async (req, res) => {
+    const errors = validateMove(req.body, { requireListingIds: true });
+    if (errors.length) return res.status(400).json({ errors });
+    try {
+      return await sendListingMove(req, res, {
+        field: "shop_section_id",
+        to: req.params.section_id,
+        load: getShopSections,
+        label: "Shop section",
+        listing_ids: req.body.listing_ids,
+      });
+    } catch (err) {
+      return sendEtsyError(res, err, "Move listings to shop section error");
+    }
+  }
+);
+
+// 8) Get listings by shop (proxy Etsy getListingsByShop API)
+app.get("/shops/listings", requireRole("viewer"), async (req, res) => {
+  const { shop_id } = req;
 
   // Supported query params
   const {
@@ -742,211 +1493,570 @@ app.get("/shops/listings", async (req, res) => {
   } = req.query;
 
   // Build query string
-  const params = new URLSearchParams();
-  if (state) params.append("state", state);
-  if (limit) params.append("limit", limit);
-  if (offset) params.append("offset", offset);
-  if (sort_on) params.append("sort_on", sort_on);
-  if (sort_order) params.append("sort_order", sort_order);
+  const params = {};
+  if (state) params.state = state;
+  if (limit) params.limit = limit;
+  if (offset) params.offset = offset;
+  if (sort_on) params.sort_on = sort_on;
+  if (sort_order) params.sort_order = sort_order;
   if (includes) {
     // includes can be a comma-separated string or array
-    if (Array.isArray(includes)) {
-      includes.forEach((inc) => params.append("includes", inc));
-    } else {
-      String(includes)
-        .split(",")
-        .forEach((inc) => params.append("includes", inc.trim()));
-    }
+    params.includes = Array.isArray(includes)
+      ? includes
+      : String(includes)
+          .split(",")
+          .map((inc) => inc.trim());
   }
-  if (legacy !== undefined) params.append("legacy", legacy);
+  if (legacy !== undefined) params.legacy = legacy;
 
-  const endpoint = `https://openapi.etsy.com/v3/application/shops/${shop_id}/listings?${params.toString()}`;
   try {
-    const r = await axios.get(endpoint, {
-      headers: {
-        Authorization: `Bearer ${access_token}`,
-        "x-api-key": CLIENT_ID,
-        "Content-Type": "application/json",
-      },
-    });
-    return res.json(r.data);
+    return res.json(
+      await etsy.get(`/shops/${shop_id}/listings`, { shop_id, params })
+    );
   } catch (err) {
-    console.error("Get listings error:", err.response?.data || err.message);
-    const status = err.response?.status || 500;
-    return res
-      .status(status)
-      .json({ error: err.response?.data || err.message });
+    return sendEtsyError(res, err, "Get listings error");
   }
 });
 
-// Etsy Seller Taxonomy Nodes proxy route
-app.get("/taxonomi", async (req, res) => {
+// Export every listing of the shop in ?state= (comma-separated; default
+// active) across all pages, streamed as ?format=csv (default) or jsonl. Rows
+// have the shape the bulk import takes, SKU included;
+// ?includes=images,inventory adds image URLs and full inventories. A failure
+// part-way aborts the download rather than leaving a silently truncated file.
+app.get("/shops/listings/export", requireRole("viewer"), async (req, res) => {
+  const { options, error } = parseExportOptions(req.query);
+  if (error) return res.status(400).json({ error });
+  if (!(await ensureAuthenticated(res, req.shop_id))) return;
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set({
+    "Content-Type":
+      options.format === "csv"
+        ? "text/csv; charset=utf-8"
+        : "application/x-ndjson; charset=utf-8",
+    "Content-Disposition": `attachment; filename="listings-${
+      req.shop_id
+    }-${options.states.join("-")}-${stamp}.${options.format}"`,
+  });
   try {
-    const apiKey = CLIENT_ID; // Use your Etsy API key from .env
-    const response = await axios.get(
-      "https://openapi.etsy.com/v3/application/seller-taxonomy/nodes",
-      {
-        headers: {
-          "x-api-key": apiKey,
-        },
-      }
-    );
-    res.json(response.data);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    await writeExport(req.shop_id, options, res);
+    return res.end();
+  } catch (err) {
+    if (!res.headersSent) return sendEtsyError(res, err, "Export error");
+    const error = EtsyApiError.from(err);
+    console.error("Export aborted:", error.details || error.message);
+    return res.destroy(error);
   }
 });
 
-// Get shipping profiles for a shop
-app.get("/shops/shipping-profiles", async (req, res) => {
-  const access_token = getAccessTokenOr401(res);
-  if (!access_token) return;
-
-  let { shop_id } = req.params;
+// Etsy Seller Taxonomy Nodes proxy route (API key only, no user token)
+app.get("/taxonomi", requireRole("viewer"), async (req, res) => {
+  try {
+    return sendCached(res, await taxonomyEntry(cacheOptions(req)));
+  } catch (err) {
+    return sendEtsyError(res, err, "Get taxonomy error");
+  }
+});
 
-  shop_id = SHOP_ID;
+// Taxonomy navigation, so a listing form can pick a taxonomy_id without
+// walking the whole tree. Search matches node names with typo tolerance;
+// ?leaf=true keeps only nodes without children (what listings should use).
+app.get("/taxonomy/search", requireRole("viewer"), async (req, res) => {
+  const { q, limit } = req.query;
+  if (!q || !String(q).trim())
+    return res.status(400).json({ error: "Query parameter q is required" });
   try {
-    const endpoint = `https://openapi.etsy.com/v3/application/shops/${shop_id}/shipping-profiles`;
-    const r = await axios.get(endpoint, {
-      headers: {
-        Authorization: `Bearer ${access_token}`,
-        "x-api-key": CLIENT_ID,
-        "Content-Type": "application/json",
-      },
+    const results = await searchTaxonomy(String(q), {
+      limit,
+      leaf_only: ["true", "1"].includes(String(req.query.leaf)),
     });
-    return res.json(r.data);
+    return res.json({ query: q, count: results.length, results });
   } catch (err) {
-    console.error(
-      "Get shipping profiles error:",
-      err.response?.data || err.message
-    );
-    const status = err.response?.status || 500;
-    return res
-      .status(status)
-      .json({ error: err.response?.data || err.message });
+    return sendEtsyError(res, err, "Taxonomy search error");
   }
 });
 
-// Get all readiness state definitions for a shop
-app.get("/shops/readiness-state-definitions", async (req, res) => {
-  const access_token = getAccessTokenOr401(res);
-  if (!access_token) return;
-
+// Top-level nodes
+app.get("/taxonomy/nodes", requireRole("viewer"), async (req, res) => {
   try {
-    const endpoint = `https://openapi.etsy.com/v3/application/shops/${SHOP_ID}/readiness-state-definitions`;
-    const r = await axios.get(endpoint, {
-      headers: {
-        Authorization: `Bearer ${access_token}`,
-        "x-api-key": CLIENT_ID,
-        "Content-Type": "application/json",
-      },
-    });
-    return res.json(r.data);
+    const results = await taxonomyRoots();
+    return res.json({ count: results.length, results });
   } catch (err) {
-    console.error(
-      "Get readiness state definitions error:",
-      err.response?.data || err.message
+    return sendEtsyError(res, err, "Get taxonomy error");
+  }
+});
+
+// A node with its full path and children
+app.get(
+  "/taxonomy/nodes/:taxonomy_id",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const node = await getTaxonomyNode(req.params.taxonomy_id);
+      if (!node)
+        return res.status(404).json({
+          error: `Taxonomy node ${req.params.taxonomy_id} not found`,
+        });
+      return res.json(node);
+    } catch (err) {
+      return sendEtsyError(res, err, "Get taxonomy node error");
+    }
+  }
+);
+
+// Properties of a node, with their possible values and scales, for
+// rendering attribute fields (see also PUT /listings/:listing_id/variations)
+app.get(
+  "/taxonomy/nodes/:taxonomy_id/properties",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      if (!(await getTaxonomyNode(req.params.taxonomy_id)))
+        return res.status(404).json({
+          error: `Taxonomy node ${req.params.taxonomy_id} not found`,
+        });
+      return sendCached(
+        res,
+        await taxonomyPropertiesEntry(req.params.taxonomy_id, cacheOptions(req))
+      );
+    } catch (err) {
+      return sendEtsyError(res, err, "Get taxonomy properties error");
+    }
+  }
+);
+
+// Get shipping profiles for a shop
+app.get("/shops/shipping-profiles", requireRole("viewer"), async (req, res) => {
+  try {
+    return sendCached(
+      res,
+      await shopResourceEntry(
+        req.shop_id,
+        "shipping-profiles",
+        cacheOptions(req)
+      )
     );
-    const status = err.response?.status || 500;
-    return res
-      .status(status)
-      .json({ error: err.response?.data || err.message });
+  } catch (err) {
+    return sendEtsyError(res, err, "Get shipping profiles error");
   }
 });
 
-// Update listing inventory with proper readiness state handling
-app.put("/listings/:listing_id/inventory", async (req, res) => {
-  const access_token = getAccessTokenOr401(res);
-  if (!access_token) return;
+// A shipping profile with its destinations and upgrades
+app.get(
+  "/shops/shipping-profiles/:profile_id",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      return res.json(
+        await getShippingProfile(req.shop_id, req.params.profile_id)
+      );
+    } catch (err) {
+      return sendEtsyError(res, err, "Get shipping profile error");
+    }
+  }
+);
+
+// Create a shipping profile with its first destination: title,
+// origin_country_iso, min/max_processing_time, primary_cost, secondary_cost
+// and destination_country_iso or destination_region (neither = everywhere)
+app.post(
+  "/shops/shipping-profiles",
+  requireRole("editor"),
+  async (req, res) => {
+    const errors = validateShippingProfile(req.body);
+    if (errors.length) return res.status(400).json({ errors });
+    try {
+      const profile = await createShippingProfile(req.shop_id, req.body);
+      res.locals.audit = { shipping_profile_id: profile.shipping_profile_id };
+      return res.status(201).json(profile);
+    } catch (err) {
+      return sendEtsyError(res, err, "Create shipping profile error");
+    }
+  }
+);
+
+// Update title, origin or processing time (costs are set per destination)
+app.put(
+  "/shops/shipping-profiles/:profile_id",
+  requireRole("editor"),
+  async (req, res) => {
+    const { profile_id } = req.params;
+    res.locals.audit = { shipping_profile_id: profile_id };
+    const errors = validateShippingProfile(req.body, { partial: true });
+    if (errors.length) return res.status(400).json({ errors });
+    try {
+      return res.json(
+        await updateShippingProfile(req.shop_id, profile_id, req.body)
+      );
+    } catch (err) {
+      return sendEtsyError(res, err, "Update shipping profile error");
+    }
+  }
+);
+
+// Etsy refuses while listings use the profile: reassign them first
+app.delete(
+  "/shops/shipping-profiles/:profile_id",
+  requireRole("editor"),
+  async (req, res) => {
+    const { profile_id } = req.params;
+    res.locals.audit = { shipping_profile_id: profile_id };
+    try {
+      await deleteShippingProfile(req.shop_id, profile_id);
+      return res.json({ ok: true, deleted: profile_id });
+    } catch (err) {
+      return sendEtsyError(res, err, "Delete shipping profile error");
+    }
+  }
+);
+
+// Destinations (costs per country or region) and upgrades (paid faster
+// options) of a profile: POST to add, PUT /:id to update, DELETE /:id
+const profileItemRoutes = (collection, label, validateItem, calls) => {
+  const path = `/shops/shipping-profiles/:profile_id/${collection}`;
+  app.post(path, requireRole("editor"), async (req, res) => {
+    const { profile_id } = req.params;
+    res.locals.audit = { shipping_profile_id: profile_id };
+    const errors = validateItem(req.body);
+    if (errors.length) return res.status(400).json({ errors });
+    try {
+      return res
+        .status(201)
+        .json(await calls.create(req.shop_id, profile_id, req.body));
+    } catch (err) {
+      return sendEtsyError(res, err, `Create ${label} error`);
+    }
+  });
+  app.put(`${path}/:id`, requireRole("editor"), async (req, res) => {
+    const { profile_id, id } = req.params;
+    res.locals.audit = { shipping_profile_id: profile_id, [`${label}_id`]: id };
+    const errors = validateItem(req.body, { partial: true });
+    if (errors.length) return res.status(400).json({ errors });
+    try {
+      return res.json(
+        await calls.update(req.shop_id, profile_id, id, req.body)
+      );
+    } catch (err) {
+      return sendEtsyError(res, err, `Update ${label} error`);
+    }
+  });
+  app.delete(`${path}/:id`, requireRole("editor"), async (req, res) => {
+    const { profile_id, id } = req.params;
+    res.locals.audit = { shipping_profile_id: profile_id, [`${label}_id`]: id };
+    try {
+      await calls.remove(req.shop_id, profile_id, id);
+      return res.json({ ok: true, deleted: id });
+    } catch (err) {
+      return sendEtsyError(res, err, `Delete ${label} error`);
+    }
+  });
+};
+profileItemRoutes("destinations", "destination", validateDestination, {
+  create: createDestination,
+  update: updateDestination,
+  remove: deleteDestination,
+});
+profileItemRoutes("upgrades", "upgrade", validateUpgrade, {
+  create: createUpgrade,
+  update: updateUpgrade,
+  remove: deleteUpgrade,
+});
 
-  const { listing_id } = req.params;
-  const {
-    products = [],
-    price_on_property = [],
-    quantity_on_property = [],
-    sku_on_property = [],
-    readiness_state_on_property = [],
-    default_readiness_state = 1, // Default readiness state ID
-  } = req.body;
+// Move listings onto another shipping profile, return policy or shop
+// section (see lib/listing-moves.js) and answer with the report. `field` is
+// also the ID field of the resources `load` resolves with, which is used to
+// check `to` exists. ?dry_run=true reports what would move without writing.
+async function sendListingMove(
+  req,
+  res,
+  { field, to, load, label, ...options }
+) {
+  const dry_run = ["true", "1"].includes(String(req.query.dry_run));
+  const known = await load(req.shop_id);
+  if (!known.some((item) => String(item[field]) === String(to)))
+    return res.status(404).json({ error: `${label} ${to} not found` });
+  const report = await moveListings(req.shop_id, field, to, {
+    ...options,
+    dry_run,
+  });
+  res.locals.audit = {
+    [field]: String(to),
+    listing_id: report.updated.map((u) => u.listing_id).join(","),
+  };
+  return res.json({ ok: !report.failed.length, ...report });
+}
 
-  try {
-    // Ensure all products have proper readiness states
-    const processedProducts = products.map((product) => {
-      if (product.offerings) {
-        product.offerings = product.offerings.map((offering) => ({
-          ...offering,
-          readiness_state: offering.readiness_state || default_readiness_state,
-        }));
-      }
-      return product;
-    });
+// Move listings from this profile to another: { to_profile_id,
+// listing_ids? } (all of the profile's listings when listing_ids is left
+// out)
+app.post(
+  "/shops/shipping-profiles/:profile_id/reassign",
+  requireRole("editor"),
+  async (req, res) => {
+    const { profile_id } = req.params;
+    const errors = validateMove(req.body, { target: "to_profile_id" });
+    if (errors.length) return res.status(400).json({ errors });
+    const { to_profile_id, listing_ids } = req.body;
+    if (String(to_profile_id) === String(profile_id))
+      return res
+        .status(400)
+        .json({ error: "to_profile_id must be a different profile" });
+    try {
+      return await sendListingMove(req, res, {
+        field: "shipping_profile_id",
+        to: to_profile_id,
+        load: getShippingProfiles,
+        label: "Shipping profile",
+        listing_ids,
+        from: profile_id,
+      });
+    } catch (err) {
+      return sendEtsyError(res, err, "Reassign shipping profile error");
+    }
+  }
+);
 
-    const inventoryPayload = {
-      products: processedProducts,
-      price_on_property,
-      quantity_on_property,
-      sku_on_property,
-      readiness_state_on_property,
-    };
+// Get all readiness state definitions for a shop
+app.get(
+  "/shops/readiness-state-definitions",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      return sendCached(
+        res,
+        await shopResourceEntry(
+          req.shop_id,
+          "readiness-state-definitions",
+          cacheOptions(req)
+        )
+      );
+    } catch (err) {
+      return sendEtsyError(res, err, "Get readiness state definitions error");
+    }
+  }
+);
 
-    const endpoint = `https://openapi.etsy.com/v3/application/listings/${listing_id}/inventory`;
-    const response = await axios.put(endpoint, inventoryPayload, {
-      headers: {
-        Authorization: `Bearer ${access_token}`,
-        "x-api-key": CLIENT_ID,
-        "Content-Type": "application/json",
-      },
-    });
+// Build the shop's SKU index on first use
+async function ensureSkuIndex(shop_id) {
+  if (!isIndexBuilt(shop_id)) await buildSkuIndex(shop_id);
+}
 
+// SKU index status and every indexed SKU
+app.get("/skus", requireRole("viewer"), async (req, res) => {
+  try {
+    await ensureSkuIndex(req.shop_id);
+    const { built_at, skus } = indexSummary(req.shop_id);
+    return res.json({ shop_id: req.shop_id, built_at, count: skus });
+  } catch (err) {
+    return sendEtsyError(res, err, "SKU index error");
+  }
+});
+
+// Rebuild the SKU index from the shop's listings
+app.post("/skus/rebuild", requireRole("editor"), async (req, res) => {
+  try {
     return res.json({
       ok: true,
-      inventory: response.data,
+      shop_id: req.shop_id,
+      ...(await buildSkuIndex(req.shop_id)),
     });
   } catch (err) {
-    console.error(
-      "Update listing inventory error:",
-      err.response?.data || err.message
-    );
-    const status = err.response?.status || 500;
-    return res
-      .status(status)
-      .json({ error: err.response?.data || err.message });
+    return sendEtsyError(res, err, "SKU index rebuild error");
   }
 });
 
-// Get listing properties - useful for understanding property IDs
-app.get("/shops/:shop_id/listings/:listing_id/properties", async (req, res) => {
-  const access_token = getAccessTokenOr401(res);
-  if (!access_token) return;
-
-  const { shop_id, listing_id } = req.params;
-
+// Which listing/product/offering(s) hold a SKU
+app.get("/skus/:sku", requireRole("viewer"), async (req, res) => {
   try {
-    const endpoint = `https://openapi.etsy.com/v3/application/shops/${shop_id}/listings/${listing_id}/properties`;
-    const response = await axios.get(endpoint, {
-      headers: {
-        Authorization: `Bearer ${access_token}`,
-        "x-api-key": CLIENT_ID,
-      },
+    await ensureSkuIndex(req.shop_id);
+    const entries = findSku(req.shop_id, req.params.sku);
+    if (!entries.length)
+      return res.status(404).json({
+        error: `SKU ${req.params.sku} not found (rebuild via POST /skus/rebuild if it is new)`,
+      });
+    return res.json({
+      sku: req.params.sku,
+      built_at: indexSummary(req.shop_id).built_at,
+      count: entries.length,
+      results: entries,
     });
+  } catch (err) {
+    return sendEtsyError(res, err, "SKU lookup error");
+  }
+});
 
-    return res.json(response.data);
+// Apply a SKU feed: { items: [{ sku, quantity?, price? }] } (or the array
+// itself). Only offerings whose values change are written; the response is a
+// diff report. ?dry_run=true reports without writing.
+app.post("/inventory/sync", requireRole("editor"), async (req, res) => {
+  const items = Array.isArray(req.body) ? req.body : req.body?.items;
+  if (!Array.isArray(items) || !items.length)
+    return res.status(400).json({
+      error: "Send items: [{ sku, quantity?, price? }]",
+    });
+  const dry_run = ["true", "1"].includes(String(req.query.dry_run));
+  try {
+    await ensureSkuIndex(req.shop_id);
+    const report = await syncInventory(req.shop_id, items, { dry_run });
+    res.locals.audit = {
+      listing_id: [...new Set(report.updated.map((u) => u.listing_id))].join(
+        ","
+      ),
+    };
+    return res.json({ ok: !report.failed.length, ...report });
   } catch (err) {
-    console.error(
-      "Get listing properties error:",
-      err.response?.data || err.message
-    );
-    const status = err.response?.status || 500;
-    return res
-      .status(status)
-      .json({ error: err.response?.data || err.message });
+    return sendEtsyError(res, err, "Inventory sync error");
   }
 });
 
+// Replace a listing's inventory from variations (see lib/variations.js):
+// { variations: { Size: [...], Color: [...] }, price, quantity, sku,
+//   readiness_state_id, overrides: [{ match, price, quantity, sku,
+//   is_enabled }] }. taxonomy_id defaults to the listing's own.
+// ?dry_run=true returns the expanded products and payload without sending.
+app.put(
+  "/listings/:listing_id/variations",
+  requireRole("editor"),
+  async (req, res) => {
+    const { listing_id } = req.params;
+    const body = req.body || {};
+    const dryRun = ["true", "1"].includes(String(req.query.dry_run));
+    try {
+      let { taxonomy_id } = body;
+      if (!taxonomy_id)
+        ({ taxonomy_id } = await getListing(req.shop_id, listing_id));
+      const { payload, products, errors } = await buildVariationInventory(
+        body,
+        taxonomy_id
+      );
+      if (errors.length)
+        return res.status(400).json({ ok: false, dry_run: dryRun, errors });
+      if (dryRun)
+        return res.json({ ok: true, dry_run: true, products, payload });
+
+      const inventory = await etsy.put(
+        `/listings/${listing_id}/inventory`,
+        payload,
+        { shop_id: req.shop_id }
+      );
+      indexListing(req.shop_id, { listing_id: Number(listing_id) }, inventory);
+      return res.json({ ok: true, products, inventory });
+    } catch (err) {
+      return sendEtsyError(res, err, "Update listing variations error");
+    }
+  }
+);
+
+// Update listing inventory with proper readiness state handling
+app.put(
+  "/listings/:listing_id/inventory",
+  requireRole("editor"),
+  async (req, res) => {
+    const { listing_id } = req.params;
+    const {
+      products = [],
+      price_on_property = [],
+      quantity_on_property = [],
+      sku_on_property = [],
+      readiness_state_on_property = [],
+      default_readiness_state = 1, // Default readiness state ID
+    } = req.body;
+
+    try {
+      // Ensure all products have proper readiness states
+      const processedProducts = products.map((product) => {
+        if (product.offerings) {
+          product.offerings = product.offerings.map((offering) => ({
+            ...offering,
+            readiness_state:
+              offering.readiness_state || default_readiness_state,
+          }));
+        }
+        return product;
+      });
+
+      const inventoryPayload = {
+        products: processedProducts,
+        price_on_property,
+        quantity_on_property,
+        sku_on_property,
+        readiness_state_on_property,
+      };
+
+      const inventory = await etsy.put(
+        `/listings/${listing_id}/inventory`,
+        inventoryPayload,
+        { shop_id: req.shop_id }
+      );
+      indexListing(req.shop_id, { listing_id: Number(listing_id) }, inventory);
+
+      return res.json({
+        ok: true,
+        inventory,
+      });
+    } catch (err) {
+      return sendEtsyError(res, err, "Update listing inventory error");
+    }
+  }
+);
+
+// Get listing properties - useful for understanding property IDs
+app.get(
+  "/shops/:shop_id/listings/:listing_id/properties",
+  requireRole("viewer"),
+  async (req, res) => {
+    const { shop_id, listing_id } = req.params;
+
+    try {
+      return res.json(
+        await etsy.get(`/shops/${shop_id}/listings/${listing_id}/properties`, {
+          shop_id,
+        })
+      );
+    } catch (err) {
+      return sendEtsyError(res, err, "Get listing properties error");
+    }
+  }
+);
+
 app.get("/", (req, res) => res.send("Etsy backend demo running"));
 
+// Pick up jobs a previous process left unfinished, one at a time
+async function resumeJobs() {
+  const listingJobs = unfinishedListingJobs();
+  const importJobs = unfinishedImportJobs();
+  if (!listingJobs.length && !importJobs.length) return;
+
+  if (!hasTokens()) {
+    console.warn(
+      `${
+        listingJobs.length + importJobs.length
+      } unfinished job(s) need a token. Authenticate and retry via POST /jobs/:job_id/retry`
+    );
+    return;
+  }
+  for (const job of listingJobs) {
+    console.log(`Resuming listing job ${job.job_id}`);
+    await runListingJob(job);
+  }
+  for (const job of importJobs) {
+    console.log(`Resuming import job ${job.job_id}`);
+    await runImportJob(job);
+  }
+}
+
 // Start server
 app.listen(PORT, () => {
+  startSweeping();
   console.log(`Etsy backend demo running at ${BASE_URL}`);
-  console.log(`1) Visit ${BASE_URL}/auth/login to start OAuth (PKCE) flow.`);
+  console.log(
+    authEnabled
+      ? `1) POST ${BASE_URL}/auth/login-url with an admin key and open the returned url to connect a shop.`
+      : `1) Visit ${BASE_URL}/auth/login to start OAuth (PKCE) flow.`
+  );
+  resumeJobs().catch((err) =>
+    console.error("Resuming jobs failed:", err.message)
+  );
+  startDelivering();
+  startPolling();
 });
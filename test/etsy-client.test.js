@@ -0,0 +1,51 @@
+// test/etsy-client.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "etsy-client-"));
+process.env.TOKEN_STORE = path.join(dir, "tokens.json");
+const etsy = require("../lib/etsy-client");
+const { EtsyApiError } = require("../lib/etsy-error");
+
+// Endpoint answering each request with the next of `replies`
+// ([status, body]), then 200
+let replies = [];
+let requests = 0;
+const server = http.createServer((req, res) => {
+  requests++;
+  const [status, body] = replies.shift() || [200, { ok: true }];
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+});
+
+let url;
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/listings/1/images`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  requests = 0;
+});
+
+test("a POST rejected by the listing lock is retried", async () => {
+  replies = [[409, { error: "Listing 1 is being edited by another process" }]];
+  const result = await etsy.post(url, {}, { auth: false });
+  assert.deepStrictEqual(result, { ok: true });
+  assert.strictEqual(requests, 2);
+});
+
+test("a POST that failed with a plain 500 is not retried", async () => {
+  replies = [[500, { error: "Internal error" }]];
+  await assert.rejects(etsy.post(url, {}, { auth: false }), EtsyApiError);
+  assert.strictEqual(requests, 1);
+});
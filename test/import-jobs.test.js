@@ -0,0 +1,55 @@
+// test/import-jobs.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "import-jobs-"));
+[
+  "JOB_STORE",
+  "TOKEN_STORE",
+  "TEMPLATE_STORE",
+  "SKU_INDEX",
+  "IMAGE_INDEX",
+].forEach((name) => (process.env[name] = path.join(dir, `${name}.json`)));
+const { formatCsvRow } = require("../lib/csv");
+const { listingSchema, validate } = require("../lib/listing-schema");
+const { parseImportFile } = require("../lib/import-jobs");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// The structured fields of a valid POST /listings body
+const body = {
+  tags: ["ceramic mug", "gift"],
+  materials: ["stoneware"],
+  styles: ["Rustic"],
+  production_partner_ids: [12, 34],
+  image_ids: [56],
+  properties: [{ property_id: 200, value_ids: [1], values: ["Blue"] }],
+  inventory: { products: [{ sku: "MUG-1", offerings: [] }] },
+};
+
+const importCsv = (header, cells) =>
+  parseImportFile({
+    originalname: "listings.csv",
+    buffer: Buffer.from(formatCsvRow(header) + formatCsvRow(cells)),
+  }).entries[0].data;
+
+test("structured CSV cells read back like the JSON body", () => {
+  const header = Object.keys(body);
+  const data = importCsv(header, [
+    "ceramic mug|gift",
+    "stoneware",
+    "Rustic",
+    "12|34",
+    JSON.stringify(body.image_ids),
+    JSON.stringify(body.properties),
+    JSON.stringify(body.inventory),
+  ]);
+  assert.deepStrictEqual(data, body);
+  const errors = validate(listingSchema, data).filter((e) =>
+    header.includes(e.field)
+  );
+  assert.deepStrictEqual(errors, []);
+});
@@ -0,0 +1,70 @@
+// test/inventory-sync.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "inventory-sync-"));
+process.env.SKU_INDEX = path.join(dir, "sku-index.json");
+process.env.TOKEN_STORE = path.join(dir, "tokens.json");
+const etsy = require("../lib/etsy-client");
+const { indexListing } = require("../lib/sku-index");
+const { syncInventory } = require("../lib/inventory-sync");
+
+const product = (product_id, sku, quantity) => ({
+  product_id,
+  sku,
+  property_values: [],
+  offerings: [
+    {
+      offering_id: product_id * 10,
+      price: { amount: 1000, divisor: 100 },
+      quantity,
+      is_enabled: true,
+    },
+  ],
+});
+
+// The inventories Etsy holds, by listing ID
+const inventories = {
+  1: { products: [product(11, "A", 1)] },
+  2: { products: [product(21, "B", 1)] },
+};
+etsy.get = async (url) => inventories[url.split("/")[2]];
+etsy.put = async (url, payload) => payload;
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a SKU moved to another listing is not reported as not found", async () => {
+  // the index still places B on listing 1 and A and C on listing 2
+  indexListing(
+    5,
+    { listing_id: 1 },
+    {
+      products: [product(11, "A", 1), product(12, "B", 1), product(13, "C", 1)],
+    }
+  );
+  indexListing(
+    5,
+    { listing_id: 2 },
+    {
+      products: [product(21, "B", 1), product(22, "A", 1)],
+    }
+  );
+
+  const report = await syncInventory(5, [
+    { sku: "A", quantity: 3 },
+    { sku: "B", quantity: 4 },
+    { sku: "C", quantity: 5 },
+  ]);
+  assert.deepStrictEqual(
+    report.updated.map((u) => [u.sku, u.listing_id]),
+    [
+      ["A", 1],
+      ["B", 2],
+    ]
+  );
+  assert.deepStrictEqual(report.not_found, ["C"]);
+  assert.strictEqual(report.summary.not_found, 1);
+});
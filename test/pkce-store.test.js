@@ -0,0 +1,42 @@
+// test/pkce-store.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pkce-"));
+process.env.PKCE_STORE = path.join(dir, "pkce.json");
+process.env.PKCE_TTL_MINUTES = "10";
+const { putState, takeState } = require("../lib/pkce-store");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a state can be taken once", () => {
+  putState("abc", { code_verifier: "v", scopes: ["listings_r"] });
+  assert.strictEqual(takeState("abc").code_verifier, "v");
+  assert.strictEqual(takeState("abc"), null);
+});
+
+test("unknown states are rejected", () => {
+  assert.strictEqual(takeState("nope"), null);
+  assert.strictEqual(takeState(undefined), null);
+});
+
+test("inherited property names are not states", () => {
+  for (const state of [
+    "__proto__",
+    "constructor",
+    "toString",
+    "hasOwnProperty",
+  ])
+    assert.strictEqual(takeState(state), null, state);
+});
+
+test("the store survives a restart", () => {
+  putState("persisted", { code_verifier: "w" });
+  delete require.cache[require.resolve("../lib/pkce-store")];
+  const restarted = require("../lib/pkce-store");
+  assert.strictEqual(restarted.takeState("persisted").code_verifier, "w");
+  assert.strictEqual(restarted.takeState("persisted"), null);
+});
@@ -0,0 +1,100 @@
+// test/webhooks.test.js
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+process.env.WEBHOOK_STORE = path.join(dir, "webhooks.json");
+const {
+  createWebhook,
+  deleteWebhook,
+  hasSubscribers,
+  dispatch,
+  deliverDue,
+  listDeliveries,
+} = require("../lib/webhooks");
+
+// Endpoint recording the event IDs it receives; `delay` holds each answer
+// back, `status` is what it answers with
+const received = [];
+const endpoint = { delay: 0, status: 200 };
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    received.push(JSON.parse(body).id);
+    setTimeout(() => {
+      res.statusCode = endpoint.status;
+      res.end();
+    }, endpoint.delay);
+  });
+});
+
+let webhook;
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  webhook = createWebhook({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    shop_id: "5",
+  });
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  received.length = 0;
+  endpoint.delay = 0;
+  endpoint.status = 200;
+});
+
+const event = (id) => ({ id, type: "webhook.test", shop_id: "5", data: {} });
+const deliveryOf = (id) => listDeliveries().find((d) => d.event.id === id);
+const tick = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+test("a call during a pass also delivers what was queued meanwhile", async () => {
+  endpoint.delay = 200;
+  dispatch(event("first"));
+  const running = deliverDue();
+  await tick();
+  dispatch(event("second"), webhook.id);
+  await deliverDue();
+  assert.strictEqual(deliveryOf("second").status, "delivered");
+  await running;
+  assert.deepStrictEqual(received, ["first", "second"]);
+});
+
+test("calls during one pass share a single follow-up pass", async () => {
+  endpoint.delay = 100;
+  dispatch(event("third"));
+  const running = deliverDue();
+  await tick();
+  dispatch(event("fourth"));
+  const followUps = [deliverDue(), deliverDue()];
+  assert.strictEqual(followUps[0], followUps[1]);
+  await Promise.all([running, ...followUps]);
+  assert.deepStrictEqual(received, ["third", "fourth"]);
+});
+
+test("a failed delivery stays pending for a later retry", async () => {
+  endpoint.status = 500;
+  dispatch(event("fifth"));
+  await deliverDue();
+  const delivery = deliveryOf("fifth");
+  assert.strictEqual(delivery.status, "pending");
+  assert.strictEqual(delivery.attempts, 1);
+  assert.strictEqual(delivery.last_error, "HTTP 500");
+  assert.ok(delivery.next_attempt_at > Date.now());
+});
+
+test("only shops a webhook takes events of have subscribers", () => {
+  assert.strictEqual(hasSubscribers(5), true);
+  assert.strictEqual(hasSubscribers(6), false);
+  deleteWebhook(webhook.id);
+  assert.strictEqual(hasSubscribers(5), false);
+});